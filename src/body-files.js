@@ -0,0 +1,58 @@
+// src/body-files.js - Large bodies kept in content-addressed files beside the recordings
+const crypto = require('crypto')
+
+// A body of more than `bodyFileThreshold` bytes (as sent on the wire) is written to
+// a body file of the storage, named by the sha256 of its bytes, and the recording
+// keeps `bodyFormat: 'file'` with that hash as `body`. Identical payloads share one
+// body file, and appending to a recording doesn't rewrite the bodies it refers to.
+
+const bodyHashes = new WeakMap() // message -> { body, hash }, so rewrites don't rehash
+
+function hashFor (message, buffer) {
+  const cached = bodyHashes.get(message)
+  if (cached && cached.body === message.body) return cached.hash
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex')
+  bodyHashes.set(message, { body: message.body, hash })
+  return hash
+}
+
+async function externalizeMessage (message, threshold, writeBody) {
+  if (!message || typeof message.body !== 'string' || message.bodyFormat !== undefined) return message
+  // base64 has 4 characters per 3 bytes, so most bodies are ruled out without decoding
+  if (message.body.length * 3 / 4 <= threshold) return message
+  const buffer = Buffer.from(message.body, 'base64')
+  if (buffer.length <= threshold) return message
+  const hash = hashFor(message, buffer)
+  await writeBody(hash, buffer)
+  return { ...message, body: hash, bodyFormat: 'file' }
+}
+
+// Moves the interaction's large bodies to body files through `writeBody(hash, buffer)`
+async function externalizeBodies (interaction, { threshold, writeBody }) {
+  const request = await externalizeMessage(interaction.request, threshold, writeBody)
+  const response = await externalizeMessage(interaction.response, threshold, writeBody)
+  return request === interaction.request && response === interaction.response
+    ? interaction
+    : { ...interaction, request, response }
+}
+
+async function resolveMessage (message, readBody, where) {
+  if (!message || message.bodyFormat !== 'file') return message
+  const { bodyFormat, ...rest } = message
+  const buffer = readBody ? await readBody(message.body) : null
+  if (!buffer) throw new Error(`Body file ${message.body} of ${where} is missing`)
+  return { ...rest, body: buffer.toString('base64') }
+}
+
+// Puts the bodies of body files back into a stored interaction through
+// `readBody(hash)`; rejects if one is missing
+async function resolveBodies (interaction, { readBody, where = 'recording' }) {
+  if (!interaction || typeof interaction !== 'object') return interaction
+  const request = await resolveMessage(interaction.request, readBody, where)
+  const response = await resolveMessage(interaction.response, readBody, where)
+  return request === interaction.request && response === interaction.response
+    ? interaction
+    : { ...interaction, request, response }
+}
+
+module.exports = { externalizeBodies, resolveBodies }
@@ -0,0 +1,73 @@
+// src/body-format.js - How recorded bodies are stored on disk
+const debug = require('debug')
+const { decodeBody, encodeBody } = require('./encoding')
+const { fitChunkTimings } = require('./redaction')
+
+const logWarn = debug('echoproxia:warn')
+
+// In memory, `body` is always the base64 of the bytes on the wire. On disk it may
+// instead be stored readably, marked by `bodyFormat`:
+// - 'json': `body` is the parsed JSON value
+// - 'text': `body` is the text
+// - 'file': `body` is the hash of a body file (see body-files.js), resolved before
+//   fromStoredInteraction sees it
+// Readable bodies are stored decoded (e.g. gunzipped) and re-encoded per the
+// recorded content-encoding when read back; compressed bodies that wouldn't
+// re-encode to the same bytes stay base64.
+const BODY_FORMATS = ['base64', 'readable']
+
+function toStoredMessage (message) {
+  // Already stored some other way, e.g. in a body file
+  if (!message || typeof message.body !== 'string' || message.body === '' || message.bodyFormat !== undefined) return message
+  const wire = Buffer.from(message.body, 'base64')
+  let decoded
+  try {
+    decoded = decodeBody(wire, message.headers || {})
+    // Replay re-compresses with zlib defaults, so only if that gives the recorded
+    // bytes back (not for e.g. another compression level)
+    if (decoded !== wire && !encodeBody(decoded, message.headers || {}).equals(wire)) return message
+  } catch (err) {
+    return message // Unsupported or corrupt encoding: keep the wire bytes
+  }
+  const text = decoded.toString('utf8')
+  if (!Buffer.from(text, 'utf8').equals(decoded)) return message // Binary
+  try {
+    const parsed = JSON.parse(text)
+    // Only if serializing gives the exact same bytes back
+    if (JSON.stringify(parsed) === text) return { ...message, body: parsed, bodyFormat: 'json' }
+  } catch (err) { /* Not JSON */ }
+  return { ...message, body: text, bodyFormat: 'text' }
+}
+
+function fromStoredMessage (message, where) {
+  if (!message || message.bodyFormat === undefined) return message
+  const { bodyFormat, ...rest } = message
+  if (bodyFormat === 'base64') return rest
+  if (bodyFormat !== 'json' && bodyFormat !== 'text') {
+    logWarn(`Unknown bodyFormat '${bodyFormat}' in ${where}, leaving the body as is`)
+    return message
+  }
+  const text = bodyFormat === 'json' ? JSON.stringify(message.body) : String(message.body)
+  const wire = encodeBody(Buffer.from(text, 'utf8'), message.headers || {})
+  rest.body = wire.toString('base64')
+  // Re-compressed bodies may not have the recorded length
+  if (Array.isArray(rest.chunkTimings)) rest.chunkTimings = fitChunkTimings(rest.chunkTimings, wire.length)
+  return rest
+}
+
+// Converts an interaction to how it is written with `bodyFormat: 'readable'`
+function toStoredInteraction (interaction) {
+  return { ...interaction, request: toStoredMessage(interaction.request), response: toStoredMessage(interaction.response) }
+}
+
+// Converts an interaction read from disk (in either format) back to base64 bodies
+function fromStoredInteraction (interaction, where = 'recording') {
+  if (!interaction || typeof interaction !== 'object') return interaction
+  return {
+    ...interaction,
+    request: fromStoredMessage(interaction.request, where),
+    response: fromStoredMessage(interaction.response, where)
+  }
+}
+
+module.exports = { BODY_FORMATS, toStoredInteraction, fromStoredInteraction }
@@ -0,0 +1,127 @@
+// src/ca.js - Local certificate authority for intercepting HTTPS in forward-proxy mode
+const path = require('path')
+const fs = require('fs').promises
+const crypto = require('crypto')
+const tls = require('tls')
+const forge = require('node-forge')
+const debug = require('debug')
+
+const logInfo = debug('echoproxia:info')
+
+const CA_KEY_FILENAME = 'echoproxia-ca.key.pem'
+const CA_CERT_FILENAME = 'echoproxia-ca.cert.pem'
+
+// RSA keys are generated natively; node-forge is only used to build certificates
+function generateKeyPair () {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  })
+  return {
+    privateKeyPem: privateKey,
+    privateKey: forge.pki.privateKeyFromPem(privateKey),
+    publicKey: forge.pki.publicKeyFromPem(publicKey)
+  }
+}
+
+function randomSerialNumber () {
+  // 16 byte hex serial; the first byte is kept in 0x40-0x7f so the DER integer
+  // stays positive and minimally encoded
+  const bytes = crypto.randomBytes(16)
+  bytes[0] = (bytes[0] & 0x3f) | 0x40
+  return bytes.toString('hex')
+}
+
+function createCaCertificate (keys) {
+  const cert = forge.pki.createCertificate()
+  cert.publicKey = keys.publicKey
+  cert.serialNumber = randomSerialNumber()
+  cert.validity.notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000)
+  cert.validity.notAfter = new Date(Date.now() + 10 * 365 * 24 * 60 * 60 * 1000)
+  const attrs = [
+    { name: 'commonName', value: 'Echoproxia Local CA' },
+    { name: 'organizationName', value: 'Echoproxia' }
+  ]
+  cert.setSubject(attrs)
+  cert.setIssuer(attrs)
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: true, critical: true },
+    { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+    { name: 'subjectKeyIdentifier' }
+  ])
+  cert.sign(keys.privateKey, forge.md.sha256.create())
+  return cert
+}
+
+// Loads the CA from `caDir` if both files exist, otherwise generates one (and
+// saves it to `caDir` when given, so clients can trust it across runs).
+async function loadOrCreateCa (caDir) {
+  if (caDir) {
+    const keyPath = path.join(caDir, CA_KEY_FILENAME)
+    const certPath = path.join(caDir, CA_CERT_FILENAME)
+    try {
+      const [keyPem, certPem] = await Promise.all([fs.readFile(keyPath, 'utf8'), fs.readFile(certPath, 'utf8')])
+      logInfo(`Loaded CA certificate from ${certPath}`)
+      return createCertificateAuthority(keyPem, certPem, certPath)
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+    const { keyPem, certPem } = generateCa()
+    await fs.mkdir(caDir, { recursive: true })
+    await fs.writeFile(keyPath, keyPem, { mode: 0o600 })
+    await fs.writeFile(certPath, certPem)
+    logInfo(`Generated CA certificate at ${certPath}`)
+    return createCertificateAuthority(keyPem, certPem, certPath)
+  }
+  const { keyPem, certPem } = generateCa()
+  logInfo('Generated in-memory CA certificate')
+  return createCertificateAuthority(keyPem, certPem, null)
+}
+
+function generateCa () {
+  const keys = generateKeyPair()
+  const cert = createCaCertificate(keys)
+  return { keyPem: keys.privateKeyPem, certPem: forge.pki.certificateToPem(cert) }
+}
+
+// Issues (and caches) a leaf certificate per hostname, signed by the CA.
+// All leaf certificates share one key pair, generated on first use.
+function createCertificateAuthority (keyPem, certPem, certPath) {
+  const caKey = forge.pki.privateKeyFromPem(keyPem)
+  const caCert = forge.pki.certificateFromPem(certPem)
+  const secureContexts = new Map()
+  let leafKeys = null
+
+  function issueCertificate (hostname) {
+    if (!leafKeys) leafKeys = generateKeyPair()
+    const cert = forge.pki.createCertificate()
+    cert.publicKey = leafKeys.publicKey
+    cert.serialNumber = randomSerialNumber()
+    cert.validity.notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000)
+    cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)
+    cert.setSubject([{ name: 'commonName', value: hostname }])
+    cert.setIssuer(caCert.subject.attributes)
+    const isIp = /^[\d.]+$/.test(hostname) || hostname.includes(':')
+    cert.setExtensions([
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      { name: 'subjectAltName', altNames: [isIp ? { type: 7, ip: hostname } : { type: 2, value: hostname }] }
+    ])
+    cert.sign(caKey, forge.md.sha256.create())
+    return forge.pki.certificateToPem(cert)
+  }
+
+  function getSecureContext (hostname) {
+    if (!secureContexts.has(hostname)) {
+      const cert = issueCertificate(hostname)
+      secureContexts.set(hostname, tls.createSecureContext({ key: leafKeys.privateKeyPem, cert }))
+    }
+    return secureContexts.get(hostname)
+  }
+
+  return { certPem, certPath, getSecureContext }
+}
+
+module.exports = { loadOrCreateCa }
@@ -0,0 +1,97 @@
+// src/control.js - HTTP control API, for test runners that can't call the proxy handle
+const crypto = require('crypto')
+const express = require('express')
+const debug = require('debug')
+
+const logInfo = debug('echoproxia:info')
+const logWarn = debug('echoproxia:warn')
+
+// Request bodies are JSON; the proxy's body parser leaves them as a Buffer
+function jsonBody (req) {
+  if (!(req.body instanceof Buffer) || req.body.length === 0) return {}
+  const body = JSON.parse(req.body.toString('utf8'))
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('request body must be a JSON object')
+  return body
+}
+
+// Runs an async handler, answering 400 with { error } if it throws
+function handle (handler) {
+  return async (req, res) => {
+    let result
+    try {
+      result = await handler(req, jsonBody(req))
+    } catch (err) {
+      logWarn(`Control request ${req.method} ${req.originalUrl} failed: ${err.message}`)
+      res.status(400).json({ error: err.message })
+      return
+    }
+    res.status(200).json(result)
+  }
+}
+
+// Compares tokens in constant time (hashing first, since timingSafeEqual needs equal lengths)
+function tokenMatches (given, token) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest()
+  return crypto.timingSafeEqual(digest(given), digest(token))
+}
+
+// Routes (relative to where the router is mounted) mirroring the proxy handle.
+// With a `token`, every request needs an `Authorization: Bearer <token>` header.
+// Changes answer with the new status.
+// - POST sequence/:name { recordMode, streamReplay, replayLatency, strictMatching }: setSequence
+// - POST mode { recordMode }: changes the global record mode
+// - POST target { targetUrl }: changes the target of later recorded requests
+// - POST reset { sequence }: forgets which interactions were replayed (default: active sequence)
+// - POST flush: waits for pending writes
+// - GET status: sequence, modes, target and pending writes
+// - GET consumption?sequence=: served and unused interactions per file (default: active sequence)
+function createControlRouter ({ setSequence, setMode, setTargetUrl, resetReplay, flush, getStatus, getConsumption, token = null }) {
+  const router = express.Router()
+
+  if (token !== null) {
+    router.use((req, res, next) => {
+      const [scheme, given] = String(req.headers.authorization || '').split(' ')
+      if (scheme === 'Bearer' && given && tokenMatches(given, token)) return next()
+      logWarn(`Control request ${req.method} ${req.originalUrl} refused: missing or wrong token`)
+      res.status(401).json({ error: 'control requests need an Authorization: Bearer <controlToken> header' })
+    })
+  }
+
+  router.post('/sequence/:name', handle(async (req, body) => {
+    const { recordMode, streamReplay, replayLatency, strictMatching } = body
+    if (recordMode !== undefined && typeof recordMode !== 'boolean' && recordMode !== 'missing') {
+      throw new Error(`recordMode must be true, false or 'missing' (got ${JSON.stringify(recordMode)})`)
+    }
+    await setSequence(req.params.name, { recordMode, streamReplay, replayLatency, strictMatching })
+    logInfo(`Control: sequence set to ${req.params.name}`)
+    return getStatus()
+  }))
+
+  router.post('/mode', handle(async (req, { recordMode }) => {
+    await setMode(recordMode)
+    return getStatus()
+  }))
+
+  router.post('/target', handle(async (req, { targetUrl }) => {
+    setTargetUrl(targetUrl)
+    return getStatus()
+  }))
+
+  router.post('/reset', handle(async (req, { sequence }) => {
+    resetReplay(sequence)
+    return getStatus()
+  }))
+
+  router.post('/flush', handle(async () => {
+    await flush()
+    return getStatus()
+  }))
+
+  router.get('/status', handle(async () => getStatus()))
+
+  router.get('/consumption', handle(async req => getConsumption(req.query.sequence)))
+
+  return router
+}
+
+module.exports = { createControlRouter }
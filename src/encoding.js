@@ -0,0 +1,43 @@
+// src/encoding.js - Content-Encoding support for recorded bodies
+const zlib = require('zlib')
+
+const CODECS = {
+  gzip: { decode: zlib.gunzipSync, encode: zlib.gzipSync },
+  'x-gzip': { decode: zlib.gunzipSync, encode: zlib.gzipSync },
+  deflate: { decode: zlib.inflateSync, encode: zlib.deflateSync },
+  br: { decode: zlib.brotliDecompressSync, encode: zlib.brotliCompressSync },
+  // zlib only has zstd on newer Node versions (22.15+)
+  ...(typeof zlib.zstdDecompressSync === 'function' && {
+    zstd: { decode: zlib.zstdDecompressSync, encode: zlib.zstdCompressSync }
+  })
+}
+
+// Returns the codecs of a message's content-encoding header in the order they
+// were applied (`gzip, br` means gzip first); throws for unsupported encodings
+function codecsFor (headers = {}) {
+  return String(headers['content-encoding'] || '')
+    .split(',')
+    .map(encoding => encoding.trim().toLowerCase())
+    .filter(encoding => encoding && encoding !== 'identity')
+    .map(encoding => {
+      if (!CODECS[encoding]) {
+        throw new Error(encoding === 'zstd'
+          ? `content-encoding 'zstd' needs a Node.js version with zlib zstd support (running ${process.version})`
+          : `unsupported content-encoding '${encoding}'`)
+      }
+      return CODECS[encoding]
+    })
+}
+
+// Decodes a body per its headers, undoing the encodings last to first;
+// throws for unsupported or corrupt encodings
+function decodeBody (buffer, headers = {}) {
+  return codecsFor(headers).reduceRight((decoded, codec) => codec.decode(decoded), buffer)
+}
+
+// Encodes a body per its headers (the inverse of decodeBody)
+function encodeBody (buffer, headers = {}) {
+  return codecsFor(headers).reduce((encoded, codec) => codec.encode(encoded), buffer)
+}
+
+module.exports = { decodeBody, encodeBody }
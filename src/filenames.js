@@ -0,0 +1,45 @@
+// src/filenames.js - Names of recording files
+const path = require('path')
+const crypto = require('crypto')
+
+const HTTP_SUFFIX = '.echo.json'
+const WEBSOCKET_SUFFIX = '.ws.echo.json'
+const MAX_READABLE_LENGTH = 100
+const HASH_LENGTH = 12
+
+// Paths made of these characters map to a file name one-to-one: `/` becomes `_`,
+// which they can't contain. Uppercase is left out so names can't collide on
+// case-insensitive filesystems.
+const PLAIN_PATH = /^[a-z0-9./-]*$/
+
+// Name of the file that records requests to `requestPath`. Plain, short paths
+// keep the readable name (`/v1/users` -> `_v1_users.echo.json`). Others get a
+// readable prefix plus a hash of the exact path after a `~`, which plain names
+// can't contain (`/v1/a_b` -> `_v1_a_b~8c0cbf9a5224.echo.json`).
+function recordingFilename (requestPath, { websocket = false } = {}) {
+  const suffix = websocket ? WEBSOCKET_SUFFIX : HTTP_SUFFIX
+  const name = requestPath.replace(/^\//, '')
+  // A plain `/x.ws` would take the name of the WebSocket file of `/x`
+  if (PLAIN_PATH.test(name) && name.length <= MAX_READABLE_LENGTH && !name.endsWith('.ws')) {
+    return `_${name.replace(/\//g, '_')}${suffix}`
+  }
+  const readable = name.replace(/[^a-zA-Z0-9_.-]/g, '_').slice(0, MAX_READABLE_LENGTH)
+  const hash = crypto.createHash('sha256').update(requestPath).digest('hex').slice(0, HASH_LENGTH)
+  return `_${readable}~${hash}${suffix}`
+}
+
+// Name the file had before hashed names (several paths could share it)
+function legacyRecordingFilename (requestPath, { websocket = false } = {}) {
+  return `_${requestPath.replace(/^\//, '').replace(/[^a-zA-Z0-9_.-]/g, '_')}${websocket ? WEBSOCKET_SUFFIX : HTTP_SUFFIX}`
+}
+
+// Where an interaction found in `filename` (relative to the sequence directory)
+// belongs under the current naming scheme; `filename` if it doesn't say its path
+function currentFilenameFor (filename, interaction) {
+  const requestPath = interaction && interaction.request && interaction.request.path
+  if (typeof requestPath !== 'string') return filename
+  const websocket = filename.endsWith(WEBSOCKET_SUFFIX) || Array.isArray(interaction.frames)
+  return path.join(path.dirname(filename), recordingFilename(requestPath, { websocket }))
+}
+
+module.exports = { recordingFilename, legacyRecordingFilename, currentFilenameFor }
@@ -0,0 +1,54 @@
+// src/forward-proxy.js - Forward-proxy mode: absolute-URL requests and HTTPS CONNECT tunnels
+const tls = require('tls')
+const debug = require('debug')
+
+const logInfo = debug('echoproxia:info')
+const logError = debug('echoproxia:error')
+
+// Works out which upstream origin a forward-proxied request is meant for, and
+// rewrites absolute-form URLs (`GET http://host/path`) to plain paths so the rest
+// of the proxy can treat them like reverse-proxied requests. Requests that arrive
+// through an intercepted CONNECT tunnel are HTTPS to their Host header. Returns
+// null for ordinary (reverse-proxy) requests. Safe to call more than once.
+function resolveForwardOrigin (req) {
+  if (req.forwardOrigin !== undefined) return req.forwardOrigin
+  let origin = null
+  if (/^https?:\/\//i.test(req.url)) {
+    const url = new URL(req.url)
+    origin = url.origin
+    req.url = `${url.pathname}${url.search}`
+    req.originalUrl = req.url
+  } else if (req.socket.encrypted && req.headers.host) {
+    origin = `https://${req.headers.host}`
+  }
+  req.forwardOrigin = origin
+  return origin
+}
+
+// Directory (inside the sequence directory) holding one upstream host's recordings
+function hostDirectory (origin) {
+  return new URL(origin).host.replace(/[^a-zA-Z0-9.-]/g, '_')
+}
+
+// Creates the server's `connect` listener. The tunnel is terminated locally with a
+// certificate for the requested host, signed by the local CA, and the decrypted
+// connection is handed back to `server` as if the client had connected directly.
+function createConnectHandler (server, ca) {
+  return (req, clientSocket, head) => {
+    const [hostname] = req.url.split(':')
+    logInfo(`Forward proxy: intercepting CONNECT ${req.url}`)
+    clientSocket.on('error', err => logError(`Forward proxy: client socket error for ${req.url}: ${err.message}`))
+    clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+    if (head && head.length > 0) clientSocket.unshift(head)
+
+    const tlsSocket = new tls.TLSSocket(clientSocket, {
+      isServer: true,
+      SNICallback: (servername, callback) => callback(null, ca.getSecureContext(servername || hostname)),
+      secureContext: ca.getSecureContext(hostname)
+    })
+    tlsSocket.on('error', err => logError(`Forward proxy: TLS error for ${req.url}: ${err.message}`))
+    server.emit('connection', tlsSocket)
+  }
+}
+
+module.exports = { resolveForwardOrigin, hostDirectory, createConnectHandler }
@@ -0,0 +1,245 @@
+// src/har.js - Conversion between recorded interactions and HAR 1.2
+const http = require('http')
+const { decodeBody } = require('./encoding')
+const { version } = require('../package.json')
+
+const HAR_VERSION = '1.2'
+
+// --- Export ---
+
+function toHarHeaders (headers = {}) {
+  const harHeaders = []
+  for (const [name, value] of Object.entries(headers)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      harHeaders.push({ name, value: String(item) })
+    }
+  }
+  return harHeaders
+}
+
+function toHarQueryString (url) {
+  const queryIndex = url.indexOf('?')
+  if (queryIndex === -1) return []
+  return [...new URLSearchParams(url.slice(queryIndex + 1))].map(([name, value]) => ({ name, value }))
+}
+
+// HAR text: readable UTF-8 when the body round-trips, base64 otherwise
+function toHarText (base64Body) {
+  const buffer = Buffer.from(base64Body, 'base64')
+  const text = buffer.toString('utf8')
+  return Buffer.from(text, 'utf8').equals(buffer) ? { text } : { text: base64Body, encoding: 'base64' }
+}
+
+function toHarTimings (timing) {
+  if (!timing) return { time: 0, timings: { send: 0, wait: 0, receive: 0 } }
+  return {
+    time: timing.duration,
+    timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait: timing.ttfb, receive: Math.max(timing.duration - timing.ttfb, 0) }
+  }
+}
+
+// Chrome's HAR representation of WebSocket frames (times in epoch seconds)
+function toWebSocketMessages (frames, startMs) {
+  return frames.map(frame => ({
+    type: frame.direction === 'client' ? 'send' : 'receive',
+    time: (startMs + frame.time) / 1000,
+    opcode: frame.binary ? 2 : 1,
+    data: frame.binary ? frame.data : Buffer.from(frame.data, 'base64').toString('utf8')
+  }))
+}
+
+// Converts one recorded interaction to a HAR entry. `_echoproxia` keeps what HAR
+// has no place for (the recording file, chunk timings, WebSocket close), so an
+// exported sequence imports back to the same files.
+function interactionToEntry (interaction, { file, urlFor, startMs }) {
+  const { request = {}, response = {} } = interaction
+  const originalUrl = request.originalUrl || request.path || '/'
+  const requestHeaders = request.headers || {}
+  const responseHeaders = response.headers || {}
+  const { time, timings } = toHarTimings(response.timing)
+  const entry = {
+    startedDateTime: new Date(startMs).toISOString(),
+    time,
+    request: {
+      method: request.method || 'GET',
+      url: urlFor(originalUrl),
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(requestHeaders),
+      queryString: toHarQueryString(originalUrl),
+      headersSize: -1,
+      bodySize: typeof request.body === 'string' ? Buffer.from(request.body, 'base64').length : 0,
+      ...(typeof request.body === 'string' && {
+        postData: { mimeType: String(requestHeaders['content-type'] || ''), ...toHarText(request.body) }
+      })
+    },
+    response: {
+      status: response.status,
+      statusText: http.STATUS_CODES[response.status] || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(responseHeaders),
+      content: {
+        size: typeof response.body === 'string' ? Buffer.from(response.body, 'base64').length : 0,
+        mimeType: String(responseHeaders['content-type'] || ''),
+        ...(typeof response.body === 'string' && { text: response.body, encoding: 'base64' })
+      },
+      redirectURL: String(responseHeaders.location || ''),
+      headersSize: -1,
+      bodySize: typeof response.body === 'string' ? Buffer.from(response.body, 'base64').length : 0
+    },
+    cache: {},
+    timings,
+    _echoproxia: {
+      file,
+      ...(response.timing && { timing: response.timing }),
+      ...(response.chunkTimings && { chunkTimings: response.chunkTimings })
+    }
+  }
+  if (Array.isArray(interaction.frames)) {
+    entry._resourceType = 'websocket'
+    entry._webSocketMessages = toWebSocketMessages(interaction.frames, startMs)
+    entry._echoproxia.protocol = response.protocol || null
+    if (interaction.close) entry._echoproxia.close = interaction.close
+  }
+  return entry
+}
+
+// Builds a HAR log from the files of a sequence ([{ filename, recordings }]).
+// `urlFor(filename, originalUrl, recordings)` gives the URL a request of the file went to.
+function sequenceToHar (files, { urlFor, sequenceName }) {
+  const startMs = Date.now()
+  const entries = []
+  for (const { filename, recordings } of files) {
+    for (const interaction of recordings) {
+      const urlForFile = originalUrl => urlFor(filename, originalUrl, recordings)
+      entries.push(interactionToEntry(interaction, { file: filename, urlFor: urlForFile, startMs }))
+    }
+  }
+  return {
+    log: {
+      version: HAR_VERSION,
+      creator: { name: 'echoproxia', version },
+      comment: `Echoproxia sequence ${sequenceName}`,
+      entries
+    }
+  }
+}
+
+// --- Import ---
+
+// Folds HAR headers into a Node-style object: lowercase names, repeated
+// set-cookie headers as an array, other repeats joined with commas.
+// HTTP/2 pseudo-headers (`:authority` etc.) are dropped.
+function fromHarHeaders (harHeaders = []) {
+  const headers = {}
+  for (const { name, value } of harHeaders) {
+    const key = name.toLowerCase()
+    if (key.startsWith(':')) continue
+    if (!(key in headers)) {
+      headers[key] = key === 'set-cookie' ? [value] : value
+    } else if (key === 'set-cookie') {
+      headers[key].push(value)
+    } else {
+      headers[key] = `${headers[key]}, ${value}`
+    }
+  }
+  return headers
+}
+
+function fromHarText ({ text, encoding } = {}) {
+  if (typeof text !== 'string') return null
+  return encoding === 'base64' ? Buffer.from(text, 'base64') : Buffer.from(text, 'utf8')
+}
+
+function fromHarTimings (entry) {
+  if (!(entry.time > 0)) return null
+  const timings = entry.timings || {}
+  const ttfb = ['blocked', 'dns', 'connect', 'send', 'wait']
+    .reduce((sum, phase) => sum + (timings[phase] > 0 ? timings[phase] : 0), 0)
+  return { ttfb: Math.round(ttfb), duration: Math.round(entry.time) }
+}
+
+function fromWebSocketMessages (messages, startMs) {
+  return messages.map(message => {
+    const binary = message.opcode === 2
+    return {
+      direction: message.type === 'send' ? 'client' : 'server',
+      binary,
+      data: binary ? message.data : Buffer.from(String(message.data), 'utf8').toString('base64'),
+      time: Math.max(Math.round(message.time * 1000 - startMs), 0)
+    }
+  })
+}
+
+// Converts a HAR entry to [relative filename, interaction].
+// `filenameFor(url, { websocket })` places entries that weren't exported by echoproxia.
+// `pathFor(url, filename)` gives the path the proxy got for the upstream URL
+// (filename is undefined for entries that weren't exported by echoproxia).
+function entryToInteraction (entry, { filenameFor, pathFor = url => url.pathname }) {
+  const meta = entry._echoproxia || {}
+  const upstreamUrl = new URL(entry.request.url)
+  const url = new URL(`${pathFor(upstreamUrl, meta.file)}${upstreamUrl.search}`, upstreamUrl)
+  const originalUrl = `${url.pathname}${url.search}`
+  const websocket = Array.isArray(entry._webSocketMessages)
+  const requestHeaders = fromHarHeaders(entry.request.headers)
+  const requestBody = fromHarText(entry.request.postData)
+  const request = {
+    method: entry.request.method,
+    path: url.pathname,
+    originalUrl,
+    headers: requestHeaders,
+    body: requestBody && requestBody.length > 0 ? requestBody.toString('base64') : null
+  }
+  const file = meta.file || filenameFor(url, { websocket })
+
+  if (websocket) {
+    const startMs = Date.parse(entry.startedDateTime)
+    const responseHeaders = fromHarHeaders(entry.response.headers)
+    const interaction = {
+      request: { ...request, body: null },
+      response: { status: 101, protocol: meta.protocol !== undefined ? meta.protocol : (responseHeaders['sec-websocket-protocol'] || null) },
+      frames: fromWebSocketMessages(entry._webSocketMessages, startMs),
+      close: meta.close || null
+    }
+    return [file, interaction]
+  }
+
+  const responseHeaders = fromHarHeaders(entry.response.headers)
+  const responseBody = fromHarText(entry.response.content) || Buffer.alloc(0)
+  // Browsers store bodies already decompressed next to the original content-encoding;
+  // drop the header then, or replay would send plain bytes labelled as compressed
+  if (responseHeaders['content-encoding'] && responseBody.length > 0) {
+    try {
+      decodeBody(responseBody, responseHeaders)
+    } catch (err) {
+      delete responseHeaders['content-encoding']
+      delete responseHeaders['content-length']
+    }
+  }
+  const timing = meta.timing || fromHarTimings(entry)
+  const interaction = {
+    request,
+    response: {
+      status: entry.response.status,
+      headers: responseHeaders,
+      ...(timing && { timing }),
+      body: responseBody.toString('base64'),
+      ...(meta.chunkTimings && { chunkTimings: meta.chunkTimings })
+    }
+  }
+  return [file, interaction]
+}
+
+// Converts the entries of a HAR log, in order, to [{ file, interaction }]
+function harToRecordings (har, { filenameFor, pathFor }) {
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new Error('Echoproxia: not a HAR file (missing log.entries)')
+  }
+  return har.log.entries.map(entry => {
+    const [file, interaction] = entryToInteraction(entry, { filenameFor, pathFor })
+    return { file, interaction }
+  })
+}
+
+module.exports = { sequenceToHar, harToRecordings }
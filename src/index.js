@@ -3,22 +3,28 @@ const express = require('express')
 const path = require('path')
 const fs = require('fs').promises
 const { createProxyMiddleware } = require('http-proxy-middleware')
-const zlib = require('zlib')
 const getPort = require('get-port')
 const debug = require('debug')
+const { findBestInteraction, isExactMatch, similarityScore, diffRequests } = require('./matching')
+const { createWebSocketHandler } = require('./websocket')
+const { createControlRouter } = require('./control')
+const { resolveForwardOrigin, hostDirectory, createConnectHandler } = require('./forward-proxy')
+const { loadOrCreateCa } = require('./ca')
+const { fitChunkTimings, createBodyRedactor, redactQueryParams } = require('./redaction')
+const { createSecretScanner, createSecretLeakError } = require('./secret-scan')
+const { sequenceToHar, harToRecordings } = require('./har')
+const { BODY_FORMATS, toStoredInteraction, fromStoredInteraction } = require('./body-format')
+const { externalizeBodies, resolveBodies } = require('./body-files')
+const { decodeBody } = require('./encoding')
+const { CASSETTE_EXTENSION, validateSequenceName, createFileStorage, createMemoryStorage } = require('./storage')
+const { recordingFilename, legacyRecordingFilename, currentFilenameFor } = require('./filenames')
+const { MANIFEST_FILENAME, isLegacyFilename, createManifest, updateManifest, migrateStorage } = require('./manifest')
 
 const logInfo = debug('echoproxia:info')
 const logWarn = debug('echoproxia:warn')
 const logError = debug('echoproxia:error')
 
 // --- Helper Functions ---
-function sanitizeFilename (filePath) {
-  // Replace slashes and invalid chars; ensure it starts with '_'
-  const baseName = `_${filePath.replace(/^\//, '').replace(/[^a-zA-Z0-9_.-]/g, '_')}`;
-  // Append the specific extension
-  return `${baseName}.echo.json`;
-}
-
 function redactHeaders (headers, headersToRedact) {
   const redacted = {}
   for (const key in headers) {
@@ -31,20 +37,143 @@ function redactHeaders (headers, headersToRedact) {
   return redacted
 }
 
-async function readRecordings (filePath) {
-  try {
-    const data = await fs.readFile(filePath, 'utf-8')
-    const recordings = JSON.parse(data)
-    return Array.isArray(recordings) ? recordings : []
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      return []
+const MAX_REQUEST_BODY_BYTES = 50 * 1024 * 1024
+
+// Buffers request bodies into req.body exactly as sent. Unlike express.raw, compressed
+// bodies are kept compressed (express.raw inflates gzip/deflate while the forwarded
+// content-encoding header stays, and rejects br). Requests without a body keep no Buffer.
+function rawBodyParser ({ limit }) {
+  return (req, res, next) => {
+    const hasBody = req.headers['transfer-encoding'] !== undefined || !isNaN(req.headers['content-length'])
+    if (!hasBody) {
+      req.body = {}
+      return next()
     }
-    logError(`Error reading or parsing recording file ${filePath}:`, err)
-    return []
+    const chunks = []
+    let size = 0
+    let failed = false
+    req.on('data', chunk => {
+      if (failed) return
+      size += chunk.length
+      if (size > limit) {
+        failed = true
+        res.status(413).send(`Echoproxia: request body larger than ${limit} bytes`)
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      if (failed) return
+      req.body = Buffer.concat(chunks)
+      next()
+    })
+    req.on('error', err => {
+      if (!failed) next(err)
+      failed = true
+    })
   }
 }
 
+// storageLayout: one `_<path>.echo.json` file per path, or one ordered cassette file per sequence
+const STORAGE_LAYOUTS = ['per-path', 'cassette']
+// Methods a custom `storage` adapter has to implement (see storage.js)
+const STORAGE_METHODS = ['listSequences', 'listFiles', 'read', 'write', 'remove', 'clearSequence']
+
+// recordMode is `true` (record), `false` (replay) or 'missing' (replay, recording only unmatched requests)
+const RECORD_MISSING = 'missing'
+
+// How many closest recorded requests a replay failure reports
+const MAX_REPLAY_FAILURE_CANDIDATES = 3
+
+function isValidRecordMode (mode) {
+  return typeof mode === 'boolean' || mode === RECORD_MISSING
+}
+
+function describeMode (mode) {
+  if (mode === RECORD_MISSING) return 'record-missing'
+  return mode ? 'record' : 'replay'
+}
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// Maps the streamReplay option to a delay multiplier, or null when responses
+// should be written in one piece: 'recorded'/true -> 1, a number -> itself (0 = no delays)
+function streamDelayScale (streamReplay) {
+  if (streamReplay === 'recorded' || streamReplay === true) return 1
+  if (typeof streamReplay === 'number' && streamReplay >= 0) return streamReplay
+  return null
+}
+
+// Resolves the replayLatency option for one interaction to { ttfb, duration } in ms:
+// 'recorded' -> recorded timing, a number -> recorded timing times that multiplier,
+// { fixed: ms } -> a fixed delay, a function (interaction, req) -> ms -> a computed delay.
+// Returns null when no latency should be simulated.
+function resolveReplayLatency (replayLatency, interaction, req) {
+  const recordedTiming = (interaction.response && interaction.response.timing) || { ttfb: 0, duration: 0 }
+  let scale = null
+  if (replayLatency === 'recorded') scale = 1
+  if (typeof replayLatency === 'number' && replayLatency >= 0) scale = replayLatency
+  if (scale !== null) {
+    return { ttfb: recordedTiming.ttfb * scale, duration: recordedTiming.duration * scale }
+  }
+  let fixedMs = null
+  if (replayLatency && typeof replayLatency.fixed === 'number') fixedMs = replayLatency.fixed
+  if (typeof replayLatency === 'function') fixedMs = Number(replayLatency(interaction, req)) || 0
+  return fixedMs !== null ? { ttfb: fixedMs, duration: fixedMs } : null
+}
+
+// Chunk boundaries are only worth keeping for streamed responses (SSE, or chunked without a length)
+function isStreamedResponse (headers = {}) {
+  const contentType = String(headers['content-type'] || '')
+  return contentType.includes('text/event-stream') || headers['content-length'] === undefined
+}
+
+// Normalizes the `routes` option into [{ prefix, host, target, subdir, stripPrefix }].
+// Accepts an array of route objects, or an object mapping path prefixes (keys
+// starting with '/') or Host header values to target URLs.
+function normalizeRoutes (routes) {
+  if (!routes) return []
+  const list = Array.isArray(routes)
+    ? routes
+    : Object.entries(routes).map(([key, target]) => key.startsWith('/') ? { prefix: key, target } : { host: key, target })
+  return list.map(route => {
+    if (!route.target || (!route.prefix && !route.host)) {
+      throw new Error(`Echoproxia: each route needs a target and a prefix or host (got ${JSON.stringify(route)})`)
+    }
+    const prefix = route.prefix ? route.prefix.replace(/\/$/, '') : null
+    const defaultName = prefix ? prefix.replace(/^\//, '') : route.host
+    return {
+      prefix,
+      host: route.host ? route.host.toLowerCase() : null,
+      target: route.target,
+      subdir: (route.name || defaultName).replace(/[^a-zA-Z0-9.-]/g, '_'),
+      stripPrefix: Boolean(route.stripPrefix)
+    }
+  })
+}
+
+function routeMatches (route, req) {
+  if (route.prefix) {
+    // Upgrade requests reach this before Express-style fields are set
+    const pathname = req.path || new URL(req.url, 'http://localhost').pathname
+    return pathname === route.prefix || pathname.startsWith(`${route.prefix}/`)
+  }
+  const host = String(req.headers.host || '').toLowerCase()
+  return host === route.host || host.split(':')[0] === route.host
+}
+
+// What the upstream of a route with stripPrefix gets for a URL below its prefix
+function stripRoutePrefix (route, url) {
+  return url.slice(route.prefix.length).replace(/^(?!\/)/, '/')
+}
+
+// The incoming path stripRoutePrefix made `pathname` of
+function addRoutePrefix (route, pathname) {
+  return pathname === '/' ? route.prefix : `${route.prefix}${pathname}`
+}
+
 async function createProxy (options = {}) {
   const {
     recordMode = false,
@@ -52,195 +181,465 @@ async function createProxy (options = {}) {
     recordingsDir = path.join(process.cwd(), '__recordings__'),
     defaultSequenceName = 'default-sequence',
     redactHeaders: headersToRedactInput = ['authorization'], // Default redaction
-    includePlainTextBody = false // <<< Add new option with default
+    includePlainTextBody = false, // <<< Add new option with default
+    match = null, // Optional custom matcher: (incomingReq, recordedRequest) => boolean|number
+    strictMatching = false, // Only replay interactions whose query and body match exactly
+    streamReplay = false, // false, 'recorded' or a delay multiplier: re-emit recorded chunks during replay
+    replayLatency = null, // 'recorded', a multiplier, { fixed: ms } or (interaction, req) => ms
+    forwardProxy = false, // Also act as an HTTP(S) forward proxy (HTTP_PROXY / HTTPS_PROXY)
+    caDir = null, // Where the forward-proxy CA is loaded from or generated into
+    routes = null, // Per path prefix or Host header targets, each recorded in its own subdirectory
+    redactBody = null, // JSON paths, RegExps and/or functions scrubbing secrets from recorded bodies
+    redactQueryParams: queryParamsToRedactInput = [], // Query parameters masked in recorded URLs
+    secretScan = false, // true or { action: 'redact'|'fail'|'reject', patterns, builtins }: guard against leaked secrets
+    storageLayout = 'per-path', // 'per-path' or 'cassette' (one file per sequence, in arrival order)
+    bodyFormat = 'base64', // 'base64' or 'readable' (JSON and text bodies stored as values/strings)
+    bodyFileThreshold = null, // Bodies larger than this many bytes go to content-addressed body files
+    storage: storageAdapter = null, // Where recordings are kept; defaults to files below recordingsDir
+    controlPrefix: controlPrefixInput = '/echoproxia', // Path of the HTTP control API on the proxy port
+    controlPort = null, // A port (true: any free one) serving the control API instead of the proxy port
+    controlToken = null // Required as `Authorization: Bearer <token>` by control requests if set
   } = options
 
+  if (!STORAGE_LAYOUTS.includes(storageLayout)) {
+    throw new Error(`Echoproxia: storageLayout must be one of ${STORAGE_LAYOUTS.join(', ')} (got ${storageLayout})`)
+  }
+
+  if (!BODY_FORMATS.includes(bodyFormat)) {
+    throw new Error(`Echoproxia: bodyFormat must be one of ${BODY_FORMATS.join(', ')} (got ${bodyFormat})`)
+  }
+
+  if (bodyFileThreshold !== null && !(Number.isFinite(bodyFileThreshold) && bodyFileThreshold >= 0)) {
+    throw new Error(`Echoproxia: bodyFileThreshold must be a number of bytes or null (got ${bodyFileThreshold})`)
+  }
+
+  const requiredStorageMethods = bodyFileThreshold === null ? STORAGE_METHODS : [...STORAGE_METHODS, 'readBody', 'writeBody']
+  if (typeof controlPrefixInput !== 'string' || !/^\/[^?#]*[^/?#]$/.test(controlPrefixInput.replace(/\/+$/, ''))) {
+    throw new Error(`Echoproxia: controlPrefix must be a path like '/echoproxia' (got ${controlPrefixInput})`)
+  }
+  const controlPrefix = controlPrefixInput.replace(/\/+$/, '')
+
+  if (controlPort !== null && controlPort !== true && !(Number.isInteger(controlPort) && controlPort > 0)) {
+    throw new Error(`Echoproxia: controlPort must be a port number, true or null (got ${controlPort})`)
+  }
+
+  if (controlToken !== null && (typeof controlToken !== 'string' || controlToken === '')) {
+    throw new Error('Echoproxia: controlToken must be a non-empty string or null')
+  }
+
+  validateSequenceName(defaultSequenceName)
+
+  const missingStorageMethod = storageAdapter && requiredStorageMethods.find(method => typeof storageAdapter[method] !== 'function')
+  if (missingStorageMethod) {
+    throw new Error(`Echoproxia: storage adapter is missing ${missingStorageMethod}()`)
+  }
+
   // --- State (scoped within createProxy) ---
   let currentRecordMode = recordMode
   let currentTargetUrl = targetUrl
   let currentRecordingsDir = recordingsDir
   let currentSequenceName = defaultSequenceName
-  const replayCounters = {}
+  const replayCounters = {} // { sequenceName: { filePath: [servedIndex, ...] } }
+  const replayedSequences = new Set() // Sequences activated in replay or record-missing mode
+  if (recordMode !== true) replayedSequences.add(defaultSequenceName) // Active from the start
   const headersToRedact = headersToRedactInput.map(h => h.toLowerCase())
+  const queryParamsToRedact = queryParamsToRedactInput.map(p => p.toLowerCase())
   let runningServer = null
   const shouldIncludePlainText = includePlainTextBody // <<< Store the option value
-  // <<< RE-ADD isWriting flag >>>
-  let isWriting = false;
-  // <<< ADD isStopping flag >>>
-  let isStopping = false;
+  const globalMatcher = typeof match === 'function' ? match : null
+  const upstreamRoutes = normalizeRoutes(routes)
+  const redactRecordedBody = createBodyRedactor(redactBody) // null without redactBody
+  const secretScanner = createSecretScanner(secretScan) // null without secretScan
+  const secretLeakErrors = [] // Writes refused by the secret scan; stop() rejects with the first one
+  const storage = storageAdapter || createFileStorage(recordingsDir)
+  let activeDrain = null; // Promise of the running drainWriteQueue loop, null while idle
   // --- End State ---
 
   // <<< NEW: In-memory store for recordings >>>
   const inMemoryRecordings = {}; // { sequenceName: { sanitizedFilePath: [interaction, ...] } }
+  // Cassettes in arrival order, sharing interaction objects with inMemoryRecordings.
+  // A sequence without an entry hasn't been looked up on disk yet.
+  const cassetteEntries = {}; // { sequenceName: [{ file: sanitizedFilePath, interaction }] }
+  // Paths whose interactions were read from a legacy file into memory under the path's
+  // current file; that file holds them from then on, so listings skip them in the old one.
+  const seededLegacyPaths = {}; // { sequenceName: { legacyFilename: Set(requestPath) } }
+  const manifests = {}; // { sequenceName: manifest } of sequences written to by this process
+  const forwardOrigins = new Map(); // host subdirectory -> origin of the forward-proxied requests in it
 
   // <<< NEW: Queue mechanism for file writes (INSIDE createProxy) >>>
-  const writeQueue = []; // Array of { filePath: string, recordingsArray: any[] }
+  // One pending job per file: { sequenceName, filename (null for the cassette), filePath, recordingsArray, source }.
+  // Jobs hold the live in-memory array, so a file queued again before it is written
+  // is written once, with everything recorded by then.
+  const writeQueue = new Map(); // `${sequenceName}\0${filename}` -> job
+  // What the last write of each file stored: { source, length }, where `source` is the
+  // in-memory array (or cassette) it came from. While that array only grows, adapters
+  // with append() are sent the interactions recorded since.
+  const storedLengths = new Map(); // `${sequenceName}\0${filename}` -> { source, length }
+
+  async function writeJob (job) {
+    if (job.manifest) {
+      await storage.write(job.sequenceName, MANIFEST_FILENAME, job.manifest);
+      return;
+    }
+    // Secret scan: redact in place, or refuse to write the file at all
+    const findings = secretScanner
+      ? secretScanner.scan(job.recordingsArray, { redact: secretScanner.action === 'redact' })
+      : [];
+    if (findings.length > 0 && secretScanner.action !== 'redact') {
+      const leakError = createSecretLeakError(job.filePath, findings);
+      logError(leakError.message);
+      secretLeakErrors.push(leakError);
+      return;
+    }
+    if (findings.length > 0) {
+      logWarn(`Secret scan: redacted ${findings.length} secret(s) in ${job.filePath}`);
+    }
+    logInfo(`Processing write job for ${job.filePath} (${job.recordingsArray.length} items)`);
+    const key = `${job.sequenceName}\0${job.filename}`;
+    const stored = storedLengths.get(key);
+    const firstNewIndex = storage.append && stored && stored.source === job.source && stored.length <= job.recordingsArray.length
+      ? stored.length
+      : 0;
+    const appending = firstNewIndex > 0;
+    // Large bodies first, so they are stored as the bytes on the wire
+    const writeBody = (hash, buffer) => storage.writeBody(job.sequenceName, hash, buffer);
+    // Recording goes on while this writes, so later interactions are left to the next job
+    const writtenLength = job.recordingsArray.length;
+    const newRecordings = job.recordingsArray.slice(firstNewIndex, writtenLength);
+    const externalizedRecordings = bodyFileThreshold === null
+      ? newRecordings
+      : await Promise.all(newRecordings.map(interaction => externalizeBodies(interaction, { threshold: bodyFileThreshold, writeBody })));
+    const storedRecordings = bodyFormat === 'readable'
+      ? externalizedRecordings.map(toStoredInteraction)
+      : externalizedRecordings;
+    if (!appending) {
+      // Overwrite the file with the full array
+      await storage.write(job.sequenceName, job.filename, storedRecordings);
+    } else if (storedRecordings.length > 0) {
+      await storage.append(job.sequenceName, job.filename, storedRecordings);
+    }
+    storedLengths.set(key, { source: job.source, length: writtenLength });
+    logInfo(`${appending ? `Appended ${storedRecordings.length} of` : 'Wrote'} ${writtenLength} interactions to ${job.filePath}`);
+    await recordInManifest(job.sequenceName, job.filename, job.recordingsArray);
+  }
 
-  // <<< Queue processing function (INSIDE createProxy) >>>
-  async function processWriteQueue () {
-    // <<< Set isWriting flag >>>
-    if (isWriting) return; // Prevent concurrent processing loops
+  // Updates a sequence's manifest with the interactions and paths of a written file and
+  // queues the manifest's write (coalesced like recording files)
+  async function recordInManifest (sequenceName, filename, recordings) {
+    if (!manifests[sequenceName]) {
+      const stored = await storage.read(sequenceName, MANIFEST_FILENAME).catch(err => {
+        logWarn(`Could not read the manifest of sequence ${sequenceName}, starting a new one: ${err.message}`);
+        return null;
+      });
+      manifests[sequenceName] = stored && typeof stored === 'object' && !Array.isArray(stored)
+        ? stored
+        : createManifest(sequenceName, { targetUrl: currentTargetUrl });
+    }
+    updateManifest(manifests[sequenceName], filename, recordings, { originFor: subdir => forwardOrigins.get(subdir) });
+    const filePath = path.join(currentRecordingsDir, sequenceName, MANIFEST_FILENAME);
+    writeQueue.set(`${sequenceName}\0${MANIFEST_FILENAME}`, { sequenceName, filename: MANIFEST_FILENAME, filePath, manifest: manifests[sequenceName] });
+    scheduleDrain();
+  }
 
-    const job = writeQueue.shift(); // Get next task (if any)
+  // Writes queued files one at a time until the queue is empty
+  async function drainWriteQueue () {
+    for (const [key, job] of writeQueue) {
+      writeQueue.delete(key);
+      try {
+        await writeJob(job);
+      } catch (error) {
+        logError(`Error writing recordings to file ${job.filePath} from queue:`, error);
+      }
+    }
+  }
 
-    if (!job) {
-      // No job, just schedule next check and exit this tick
-      if (!isStopping) setImmediate(processWriteQueue);
-      return;
+  // <<< Function to add to queue (INSIDE createProxy) >>>
+  // `filename` is relative to the sequence directory, null for the sequence's cassette.
+  // `source` is the live array the recordings come from, if it isn't `recordingsArray`.
+  function writeRecordingsToFile (sequenceName, filename, recordingsArray, source = recordingsArray) {
+    const filePath = filename === null ? cassettePathFor(sequenceName) : path.join(currentRecordingsDir, sequenceName, filename);
+    const coalesced = writeQueue.has(`${sequenceName}\0${filename}`);
+    writeQueue.set(`${sequenceName}\0${filename}`, { sequenceName, filename, filePath, recordingsArray, source });
+    logInfo(`Queued write for ${filePath} (${recordingsArray.length} items, queue size: ${writeQueue.size}${coalesced ? ', coalesced' : ''})`);
+    scheduleDrain();
+  }
+
+  // Starts draining unless a drain is already running
+  function scheduleDrain () {
+    if (activeDrain || writeQueue.size === 0) return;
+    activeDrain = drainWriteQueue().finally(() => {
+      activeDrain = null;
+      scheduleDrain(); // Jobs queued while the loop was finishing
+    });
+  }
+
+  // Drops writes queued for a sequence that is about to be cleared, and waits for
+  // the one being written (if any), so nothing stale lands after the clear
+  async function discardQueuedWrites (sequenceName) {
+    for (const [key, job] of writeQueue) {
+      if (job.sequenceName === sequenceName) writeQueue.delete(key);
+    }
+    await flush();
+    for (const key of storedLengths.keys()) {
+      if (key.startsWith(`${sequenceName}\0`)) storedLengths.delete(key);
     }
+  }
 
-    // Found a job, mark as writing
-    isWriting = true; 
+  // Resolves once every queued write has been processed
+  async function flush () {
+    while (activeDrain) {
+      await activeDrain;
+    }
+  }
+  // <<< END Queue functions >>>
 
+  // --- Recording Reads (scoped) ---
+  // Converts stored interactions back to base64 bodies, reading body files they refer to
+  function fromStoredInteractions (sequenceName, interactions, where) {
+    const readBody = storage.readBody && (hash => storage.readBody(sequenceName, hash))
+    return Promise.all(interactions.map(async interaction => fromStoredInteraction(await resolveBodies(interaction, { readBody, where }), where)))
+  }
+
+  // Reads a sequence file through the storage adapter; missing or unreadable files read as []
+  async function readRecordings (sequenceName, filename) {
+    const filePath = path.join(currentRecordingsDir, sequenceName, filename)
     try {
-      // Only attempt write if a job exists (redundant check now, but safe)
-      if (job) { 
-        // <<< Revert to minimal log >>>
-        logInfo(`Processing write job for ${job.filePath} (${job.recordingsArray.length} items)`);
-        const sequencePath = path.dirname(job.filePath);
-        // Ensure the base directory for the sequence exists
-        await fs.mkdir(sequencePath, { recursive: true });
-        // Overwrite the file with the stringified full array
-        await fs.writeFile(job.filePath, JSON.stringify(job.recordingsArray, null, 2));
-        // <<< Revert to minimal log >>>
-        logInfo(`Wrote ${job.recordingsArray.length} interactions to ${job.filePath}`);
-      } // else { logInfo('Write queue empty, skipping write.'); } // Optional log
-    } catch (error) {
-      // Log error only if we were actually processing a job
-      if (job) { 
-        // <<< Revert to standard error log >>>
-        logError(`Error writing recordings to file ${job.filePath} from queue:`, error);
+      const recordings = await storage.read(sequenceName, filename)
+      // Bodies may be stored readably or in body files (bodyFormat); in memory they are always base64
+      return Array.isArray(recordings) ? await fromStoredInteractions(sequenceName, recordings, filePath) : []
+    } catch (err) {
+      logError(`Error reading or parsing recording file ${filePath}:`, err)
+      return []
+    }
+  }
+
+  // --- Cassette Storage (scoped) ---
+  function cassettePathFor (sequenceName) {
+    return path.join(currentRecordingsDir, `${sequenceName}${CASSETTE_EXTENSION}`)
+  }
+
+  // Loads a sequence's cassette (if there is one) into memory, grouped per file as
+  // handleReplay expects. Per-path files of the sequence are still read for paths
+  // the cassette doesn't cover, so both layouts replay.
+  async function loadCassette (sequenceName) {
+    if (cassetteEntries[sequenceName]) return
+    const cassettePath = cassettePathFor(sequenceName)
+    let entries = []
+    try {
+      const stored = await storage.read(sequenceName, null)
+      if (Array.isArray(stored)) {
+        entries = await fromStoredInteractions(sequenceName, stored, cassettePath)
+        logInfo(`Loaded cassette ${cassettePath} (${entries.length} interactions)`)
       }
-      // Continue processing next item even if one fails?
-    } finally {
-      // Unset isWriting flag
-      isWriting = false;
-      // ALWAYS Schedule the next iteration AFTER this one completes/errors
-      // <<< Only schedule if not stopping >>>
-      if (!isStopping) {
-        setImmediate(processWriteQueue); 
-      } else {
-        logInfo('PROCESS_QUEUE: isStopping is true, loop terminates.');
+    } catch (err) {
+      logWarn(`Could not read cassette ${cassettePath}: ${err.message}`)
+    }
+    if (cassetteEntries[sequenceName]) return // Loaded concurrently
+    // Entries recorded before hashed filenames may name a file their path no longer maps to
+    cassetteEntries[sequenceName] = entries.map(({ file, ...interaction }) => ({ file: currentFilenameFor(file, interaction), interaction }))
+    if (!inMemoryRecordings[sequenceName]) {
+      inMemoryRecordings[sequenceName] = {}
+    }
+    for (const { file, interaction } of cassetteEntries[sequenceName]) {
+      if (!inMemoryRecordings[sequenceName][file]) {
+        inMemoryRecordings[sequenceName][file] = []
       }
+      inMemoryRecordings[sequenceName][file].push(interaction)
     }
   }
 
-  // <<< Function to add to queue (INSIDE createProxy) >>>
-  async function writeRecordingsToFile (filePath, recordingsArray) {
-    /*
-    // <<< REMOVE queue empty check >>>
-    const queueWasEmpty = writeQueue.length === 0;
-    */
-
-    // Add the task to the queue
-    writeQueue.push({ filePath, recordingsArray });
-    logInfo(`Queued write for ${filePath} (${recordingsArray.length} items, queue size: ${writeQueue.length})`); 
-    
-    // <<< REMOVE Conditional kickstart >>>
-    /*
-    // Kickstart the queue processor ONLY if it wasn't already running
-    if (queueWasEmpty) {
-      logInfo('Queue was empty, starting processor.');
-      processWriteQueue(); // Start the loop
-    }
-    */
+  // Sequences recorded as a cassette keep appending to it, whatever storageLayout says
+  function usesCassette (sequenceName) {
+    return storageLayout === 'cassette' || Boolean(cassetteEntries[sequenceName] && cassetteEntries[sequenceName].length > 0)
   }
-  // <<< END Queue functions >>>
 
-  // <<< START the perpetual queue processor >>>
-  processWriteQueue();
+  // Queues a write of the whole cassette (each interaction with its `file`)
+  function writeCassette (sequenceName) {
+    const entries = cassetteEntries[sequenceName] || []
+    writeRecordingsToFile(sequenceName, null, entries.map(({ file, interaction }) => ({ file, ...interaction })), entries)
+  }
+
+  // Keeps recordings read from a per-path file in memory (record-missing appends to
+  // them). In the cassette layout they join the cassette, so it stays complete.
+  function seedMemoryFromDisk (sequenceName, recordingFilename, recordings, { legacyFilename = null, requestPath } = {}) {
+    if (!inMemoryRecordings[sequenceName]) {
+      inMemoryRecordings[sequenceName] = {}
+    }
+    if (legacyFilename !== null) {
+      if (!seededLegacyPaths[sequenceName]) seededLegacyPaths[sequenceName] = {}
+      if (!seededLegacyPaths[sequenceName][legacyFilename]) seededLegacyPaths[sequenceName][legacyFilename] = new Set()
+      seededLegacyPaths[sequenceName][legacyFilename].add(requestPath)
+    }
+    inMemoryRecordings[sequenceName][recordingFilename] = [...recordings]
+    if (usesCassette(sequenceName)) {
+      if (!cassetteEntries[sequenceName]) cassetteEntries[sequenceName] = []
+      cassetteEntries[sequenceName].push(...recordings.map(interaction => ({ file: recordingFilename, interaction })))
+    }
+    return inMemoryRecordings[sequenceName][recordingFilename]
+  }
+  // --- End Cassette Storage ---
 
   // --- New State Variable ---
   let activeSequenceEffectiveMode = currentRecordMode // Initialize with global mode
+  let activeSequenceOverrideMode = null // The active sequence's own recordMode, if it has one
+  let activeSequenceCleared = currentRecordMode === true // Whether it was cleared when activated (record mode)
+  let activeSequenceMatcher = globalMatcher // Matcher used by handleReplay for the active sequence
+  let activeSequenceStreamReplay = streamReplay // Chunked replay setting for the active sequence
+  let activeSequenceReplayLatency = replayLatency // Simulated latency for the active sequence
+  let activeSequenceStrictMatching = strictMatching // Whether partial matches are refused for the active sequence
   // --- End New State Variable ---
 
   // --- Initial Sequence Directory Cleanup (if in record mode) ---
-  if (currentRecordMode) {
-    const initialSequencePath = path.join(currentRecordingsDir, currentSequenceName);
+  if (currentRecordMode === true) {
+    const initialSequenceName = currentSequenceName; // setSequence may change it while this runs
+    const initialSequencePath = path.join(currentRecordingsDir, initialSequenceName);
     logInfo(`Record mode active: Clearing initial *.echo.json files in: ${initialSequencePath}`);
+    cassetteEntries[initialSequenceName] = [];
+    delete seededLegacyPaths[initialSequenceName];
     // Use an async IIFE for non-blocking cleanup
     (async () => {
+      await storage.remove(initialSequenceName, null).catch(err => {
+        logError(`Error deleting initial cassette for ${initialSequenceName}:`, err);
+      });
+      // The manifest describes the recordings being deleted
+      await storage.remove(initialSequenceName, MANIFEST_FILENAME).catch(err => {
+        logError(`Error deleting initial manifest for ${initialSequenceName}:`, err);
+      });
       try {
-        const filenames = await fs.readdir(initialSequencePath);
+        const filenames = await storage.listFiles(initialSequenceName);
         for (const filename of filenames) {
-          if (filename.endsWith('.echo.json')) { // TARGETED DELETION
+          if (path.dirname(filename) === '.' && filename.endsWith('.echo.json')) { // TARGETED DELETION
             const filePath = path.join(initialSequencePath, filename);
             try {
-              await fs.unlink(filePath);
+              await storage.remove(initialSequenceName, filename);
               logInfo(`Deleted initial recording file: ${filePath}`);
-            } catch (unlinkErr) {
-              logError(`Error deleting initial file ${filePath}:`, unlinkErr);
+            } catch (removeErr) {
+              logError(`Error deleting initial file ${filePath}:`, removeErr);
             }
           }
         }
       } catch (err) {
-        if (err.code !== 'ENOENT') { // Ignore if dir doesn't exist
-           logError(`Error reading initial directory ${initialSequencePath} for cleanup:`, err);
-        } else {
-           logInfo(`Initial sequence directory ${initialSequencePath} does not exist, nothing to clear.`);
-        }
+        logError(`Error listing initial sequence ${initialSequencePath} for cleanup:`, err);
       }
     })(); // Fire-and-forget
   }
   // --- End Initial Cleanup ---
 
+  // --- Forward Proxy CA (only needed to intercept HTTPS CONNECT tunnels) ---
+  const certificateAuthority = forwardProxy ? await loadOrCreateCa(caDir) : null
+
+  // --- Upstream Resolution (scoped) ---
+  // Returns the target a request is proxied to, the subdirectory of the sequence
+  // directory its recordings live in ('' for the sequence directory itself) and an
+  // optional rewrite of the upstream path. Forward-proxied requests are grouped per
+  // upstream host, routed requests per route (first matching route wins).
+  function resolveUpstream (req) {
+    const forwardOrigin = forwardProxy ? resolveForwardOrigin(req) : null
+    if (forwardOrigin) {
+      const subdir = hostDirectory(forwardOrigin)
+      forwardOrigins.set(subdir, forwardOrigin)
+      return { target: forwardOrigin, subdir, rewritePath: null }
+    }
+    const route = upstreamRoutes.find(candidate => routeMatches(candidate, req))
+    if (route) {
+      const rewritePath = route.stripPrefix ? url => stripRoutePrefix(route, url) : null
+      return { target: route.target, subdir: route.subdir, rewritePath }
+    }
+    return { target: currentTargetUrl, subdir: '', rewritePath: null }
+  }
+
+  // Recording file of a request, relative to the sequence directory
+  function recordingFilenameFor (req, { websocket = false } = {}) {
+    return path.join(resolveUpstream(req).subdir, recordingFilename(req.path, { websocket }))
+  }
+
+  // Files older versions recorded a request to: the unhashed .echo.json name (paths
+  // that now get a hashed name could share it) and the .json name before that
+  function legacyFilenamesFor (req, { websocket = false } = {}) {
+    const legacyFilename = path.join(resolveUpstream(req).subdir, legacyRecordingFilename(req.path, { websocket }))
+    const filenames = websocket ? [legacyFilename] : [legacyFilename, legacyFilename.replace(/\.echo\.json$/, '.json')]
+    return filenames.filter(filename => filename !== recordingFilenameFor(req, { websocket }))
+  }
+
+  // A legacy name of one path can be the current name of another (`/v1/a_b` and
+  // `/v1/a/b` both had `_v1_a_b.echo.json`), so such files can hold several paths.
+  // Matching ignores the path, so interactions recorded for other paths are skipped.
+  function isRecordedFor (interaction, requestPath) {
+    const recordedPath = interaction && interaction.request && interaction.request.path
+    return typeof recordedPath !== 'string' || recordedPath === requestPath
+  }
+
+  function otherPathIndices (recordings, requestPath) {
+    return recordings.flatMap((interaction, index) => isRecordedFor(interaction, requestPath) ? [] : [index])
+  }
+
   const app = express()
 
   // --- Middleware ---
-  app.use(express.raw({ type: '*/*', limit: '50mb' }))
-
-  // --- Control Endpoint --- (Needs modification for internal control)
-  // This simple POST might conflict if the target API uses the same path.
-  // A more robust solution might involve a dedicated control port or more unique path.
-  app.post('/echoproxia/sequence/:name', express.json(), (req, res) => {
-    currentSequenceName = req.params.name
-    logInfo(`Sequence set to: ${currentSequenceName}`)
-    if (!replayCounters[currentSequenceName]) {
-      replayCounters[currentSequenceName] = {}
-    }
-    res.status(200).send(`Sequence set to ${currentSequenceName}`)
-  })
+  app.use(rawBodyParser({ limit: MAX_REQUEST_BODY_BYTES }))
+  if (forwardProxy) {
+    // Normalize absolute-form URLs before anything looks at req.path
+    app.use((req, res, next) => {
+      resolveUpstream(req)
+      next()
+    })
+  }
 
   // --- Internal setSequence Function ---
   // Moved from the returned object to be internal, accepting options
   const internalSetSequence = async (sequenceName, options = {}) => {
-    const { recordMode: sequenceOverrideMode } = options // Get override boolean
+    const {
+      recordMode: sequenceOverrideMode,
+      match: sequenceMatcher,
+      streamReplay: sequenceStreamReplay,
+      replayLatency: sequenceReplayLatency,
+      strictMatching: sequenceStrictMatching
+    } = options // Get overrides
+    validateSequenceName(sequenceName)
 
     // Determine the effective mode for this sequence activation
-    // Use override if provided (true/false), otherwise use global (currentRecordMode)
-    const effectiveMode = typeof sequenceOverrideMode === 'boolean'
+    // Use override if provided (true/false/'missing'), otherwise use global (currentRecordMode)
+    const effectiveMode = isValidRecordMode(sequenceOverrideMode)
       ? sequenceOverrideMode
       : currentRecordMode // Use global mode as fallback
 
-    logInfo(`Setting sequence: ${sequenceName}, GlobalMode: ${currentRecordMode}, Override: ${sequenceOverrideMode}, EffectiveMode: ${effectiveMode ? 'record' : 'replay'}`)
+    logInfo(`Setting sequence: ${sequenceName}, GlobalMode: ${describeMode(currentRecordMode)}, Override: ${sequenceOverrideMode}, EffectiveMode: ${describeMode(effectiveMode)}`)
 
     // --- Sequence Recording Cleanup Logic (Uses effectiveMode) ---
     if (effectiveMode === true) { // Only clear if effective mode is record
       const sequencePath = path.join(currentRecordingsDir, sequenceName)
       logInfo(`Effective mode is \'record\': Clearing in-memory recordings and deleting directory for sequence: ${sequenceName}`);
-      // Clear memory for this sequence
+      // Clear memory and replay state for this sequence
       inMemoryRecordings[sequenceName] = {};
+      cassetteEntries[sequenceName] = [];
+      delete seededLegacyPaths[sequenceName];
+      replayCounters[sequenceName] = {};
+      replayedSequences.delete(sequenceName);
       // <<< ADD directory deletion >>>
       try {
-        // Delete the sequence directory recursively
-        await fs.rm(sequencePath, { recursive: true, force: true });
+        // Delete the sequence's files (its directory and cassette)
+        await discardQueuedWrites(sequenceName);
+        await storage.clearSequence(sequenceName);
+        delete manifests[sequenceName];
         logInfo(`Deleted sequence directory: ${sequencePath}`);
       } catch (rmErr) {
-        // Ignore ENOENT (dir doesn't exist), log others
-        if (rmErr.code !== 'ENOENT') {
-          logError(`Error deleting sequence directory ${sequencePath}:`, rmErr);
-        } else {
-          logInfo(`Sequence directory ${sequencePath} did not exist, nothing to delete.`);
-        }
+        logError(`Error deleting sequence directory ${sequencePath}:`, rmErr);
       }
       /* OLD file-by-file deletion logic commented out previously */
     } else {
-      logInfo(`Effective mode is \'replay\': Skipping cleanup for ${sequenceName}`);
+      logInfo(`Effective mode is \'${describeMode(effectiveMode)}\': Skipping cleanup for ${sequenceName}`);
     }
     // --- End Cleanup Logic ---
 
     // Store the determined effective mode for the main handler
     activeSequenceEffectiveMode = effectiveMode
+    activeSequenceOverrideMode = isValidRecordMode(sequenceOverrideMode) ? sequenceOverrideMode : null
+    activeSequenceCleared = effectiveMode === true
+    // Per-sequence matcher overrides the global one for this activation only
+    activeSequenceMatcher = typeof sequenceMatcher === 'function' ? sequenceMatcher : globalMatcher
+    activeSequenceStreamReplay = sequenceStreamReplay !== undefined ? sequenceStreamReplay : streamReplay
+    activeSequenceReplayLatency = sequenceReplayLatency !== undefined ? sequenceReplayLatency : replayLatency
+    activeSequenceStrictMatching = sequenceStrictMatching !== undefined ? Boolean(sequenceStrictMatching) : strictMatching
 
     // Original logic to set the name and reset counters
     currentSequenceName = sequenceName
@@ -249,51 +648,213 @@ async function createProxy (options = {}) {
     if (!replayCounters[currentSequenceName]) {
       replayCounters[currentSequenceName] = {}
     }
+    if (effectiveMode !== true) {
+      replayedSequences.add(currentSequenceName)
+    }
   }
   // --- End Internal setSequence Function ---
 
+  // --- Runtime Settings (scoped) ---
+  // Changes the global record mode. The active sequence switches too unless it was
+  // set with its own recordMode. Nothing is cleared: setSequence starts a sequence
+  // from scratch in record mode, while a sequence switched to record mode here keeps
+  // its recordings and appends to them.
+  const internalSetMode = async (mode) => {
+    if (!isValidRecordMode(mode)) {
+      throw new Error(`Echoproxia: recordMode must be true, false or '${RECORD_MISSING}' (got ${JSON.stringify(mode)})`)
+    }
+    currentRecordMode = mode
+    if (activeSequenceOverrideMode === null) {
+      activeSequenceEffectiveMode = mode
+      if (mode !== true) replayedSequences.add(currentSequenceName)
+    }
+    logInfo(`Mode set to: ${describeMode(mode)}, EffectiveMode: ${describeMode(activeSequenceEffectiveMode)}`)
+  }
+
+  // Changes where requests without a route are recorded from
+  const internalSetTargetUrl = (url) => {
+    let parsed = null
+    try {
+      parsed = new URL(url)
+    } catch (err) { /* Not a URL */ }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(`Echoproxia: targetUrl must be an absolute URL (got ${JSON.stringify(url)})`)
+    }
+    currentTargetUrl = url
+    logInfo(`Target set to: ${currentTargetUrl}`)
+  }
+
+  // Forgets which interactions of a sequence were replayed, so it replays from the start
+  const resetReplay = (sequenceName = currentSequenceName) => {
+    validateSequenceName(sequenceName)
+    replayCounters[sequenceName] = {}
+    logInfo(`Replay counters reset for sequence: ${sequenceName}`)
+  }
+
+  function getStatus () {
+    return {
+      sequence: currentSequenceName,
+      recordMode: currentRecordMode,
+      effectiveMode: activeSequenceEffectiveMode,
+      mode: describeMode(activeSequenceEffectiveMode),
+      targetUrl: currentTargetUrl,
+      pendingWrites: writeQueue.size + (activeDrain ? 1 : 0)
+    }
+  }
+  // --- End Runtime Settings ---
+
+  // --- Replay Failure Diagnostics (scoped) ---
+  // Sends a structured JSON 500 describing why replay failed: the files checked,
+  // the closest recorded requests of the sequence and a diff against the nearest one.
+  // Request body as it will be recorded (redactBody applied), or null without one
+  function recordableRequestBody (req, requestPath) {
+    if (!(req.body instanceof Buffer)) return null
+    return redactRecordedBody
+      ? redactRecordedBody(req.body, { type: 'request', path: requestPath, headers: req.headers })
+      : req.body
+  }
+
+  // Answers a request the secret scan refused to record (secretScan.action 'reject')
+  function refuseLeakingRequest (res, requestLabel, findings) {
+    const leakError = createSecretLeakError(requestLabel, findings)
+    logError(leakError.message)
+    res.status(500).json({ error: leakError.message, reason: 'secret-detected', findings })
+  }
+
+  // Recorded request URLs and bodies are redacted, so incoming ones are matched
+  // (and diffed) in their redacted form too. Returns a view of `req` with them.
+  function requestForMatching (req) {
+    const overrides = {}
+    const originalUrl = redactQueryParams(req.originalUrl, queryParamsToRedact)
+    if (originalUrl !== req.originalUrl) overrides.originalUrl = { value: originalUrl }
+    if (redactRecordedBody && Buffer.isBuffer(req.body)) {
+      const body = redactRecordedBody(req.body, { type: 'request', path: req.path, headers: req.headers })
+      if (body !== req.body) overrides.body = { value: body }
+    }
+    return Object.keys(overrides).length > 0 ? Object.create(req, overrides) : req
+  }
+
+  async function sendReplayFailure (req, res, { reason, message, checkedFiles }) {
+    const sequenceReplayState = replayCounters[currentSequenceName] || {}
+    const matchReq = requestForMatching(req)
+    const candidates = []
+    for (const { filename, filePath, recordings, movedIndices } of await loadSequenceFiles(currentSequenceName)) {
+      const consumedIndices = sequenceReplayState[filePath] || []
+      recordings.forEach((interaction, index) => {
+        if (movedIndices.includes(index)) return
+        const recordedRequest = interaction.request || {}
+        candidates.push({
+          file: filename,
+          index,
+          method: recordedRequest.method,
+          originalUrl: recordedRequest.originalUrl || recordedRequest.path,
+          consumed: consumedIndices.includes(index),
+          similarity: similarityScore(matchReq, recordedRequest),
+          recordedRequest
+        })
+      })
+    }
+    // Most similar first; unconsumed before consumed; then recording order
+    candidates.sort((a, b) => (b.similarity - a.similarity) || (a.consumed - b.consumed))
+    const closest = candidates.slice(0, MAX_REPLAY_FAILURE_CANDIDATES)
+
+    const details = {
+      error: message,
+      reason,
+      sequence: currentSequenceName,
+      request: { method: req.method, path: req.path, originalUrl: matchReq.originalUrl },
+      checkedFiles,
+      candidates: closest.map(({ recordedRequest, ...candidate }) => candidate),
+      diff: closest.length > 0 ? diffRequests(matchReq, closest[0].recordedRequest) : null
+    }
+    logWarn(`Replay failure details: ${JSON.stringify(details, null, 2)}`)
+    res.status(500).json(details)
+    return false
+  }
+
   // --- Replay Function (scoped) ---
-  // Updated for backwards compatibility reading .json files
-  async function handleReplay (req, res, /* { other params } */ ) {
-    // 1. Construct NEW filename (.echo.json)
-    const recordingFilenameNew = sanitizeFilename(req.path); // Uses new .echo.json convention
+  // Updated for backwards compatibility reading .json files.
+  // With `allowMiss` (record-missing mode), a request without an exact match is
+  // not answered: handleReplay returns false with no response sent so the caller can proxy it.
+  async function handleReplay (req, res, { allowMiss = false } = {}) {
+    // 1. Construct NEW filename (.echo.json, hashed for paths that could collide)
+    const recordingFilenameNew = recordingFilenameFor(req);
     const recordingFilepathNew = path.join(currentRecordingsDir, currentSequenceName, recordingFilenameNew);
 
-    // 2. Construct OLD filename (.json)
-    // Corrected the regex to properly escape dots
-    const recordingFilenameOld = recordingFilenameNew.replace(/\.echo\.json$/, '.json');
-    const recordingFilepathOld = path.join(currentRecordingsDir, currentSequenceName, recordingFilenameOld);
+    // 2. Construct OLD filenames (unhashed .echo.json, .json)
+    const recordingFilenamesOld = legacyFilenamesFor(req);
+    const checkedFiles = [recordingFilenameNew, ...recordingFilenamesOld]
+      .map(filename => path.join(currentRecordingsDir, currentSequenceName, filename));
 
     let sequenceRecordings = [];
     let usedFilepath = ''; // Track which file was actually used
+    let usedLegacyFilename = null;
+    await loadCassette(currentSequenceName); // Cassette layout recordings are served from memory
+
+    // Interactions recorded in this process (and files already loaded in record-missing mode)
+    // are served from memory, since their queued writes may not have reached disk yet.
+    const sequenceMemory = inMemoryRecordings[currentSequenceName];
+    const inMemory = Boolean(sequenceMemory && sequenceMemory[recordingFilenameNew]);
+    if (inMemory) {
+      sequenceRecordings = sequenceMemory[recordingFilenameNew];
+      usedFilepath = recordingFilepathNew;
+      logInfo(`Replay: Using in-memory recordings for ${recordingFilenameNew}`);
+    }
 
     // 3. Attempt to read NEW format first
-    try {
-      logInfo(`Replay: Attempting to read new format: ${recordingFilepathNew}`);
-      sequenceRecordings = await readRecordings(recordingFilepathNew);
-      if (sequenceRecordings.length > 0) {
-         usedFilepath = recordingFilepathNew;
-         logInfo(`Replay: Using new format file: ${usedFilepath}`);
-      }
-    } catch (err) { /* Ignore read errors for now */ }
-
-    // 4. If NEW format is empty/missing, attempt to read OLD format
     if (sequenceRecordings.length === 0) {
+      try {
+        logInfo(`Replay: Attempting to read new format: ${recordingFilepathNew}`);
+        sequenceRecordings = await readRecordings(currentSequenceName, recordingFilenameNew);
+        if (sequenceRecordings.length > 0) {
+           usedFilepath = recordingFilepathNew;
+           logInfo(`Replay: Using new format file: ${usedFilepath}`);
+        }
+      } catch (err) { /* Ignore read errors for now */ }
+    }
+
+    // 4. If NEW format is empty/missing, attempt to read OLD formats
+    for (const recordingFilenameOld of recordingFilenamesOld) {
+      if (sequenceRecordings.length > 0) break;
+      const recordingFilepathOld = path.join(currentRecordingsDir, currentSequenceName, recordingFilenameOld);
       try {
         logInfo(`Replay: New format not found/empty, trying old format: ${recordingFilepathOld}`);
-        sequenceRecordings = await readRecordings(recordingFilepathOld);
+        sequenceRecordings = await readRecordings(currentSequenceName, recordingFilenameOld);
+        // Another path's file under the current scheme (see isRecordedFor)
+        if (otherPathIndices(sequenceRecordings, req.path).length === sequenceRecordings.length) {
+          sequenceRecordings = [];
+        }
         if (sequenceRecordings.length > 0) {
+           usedLegacyFilename = recordingFilenameOld;
            usedFilepath = recordingFilepathOld;
-           logInfo(`Replay: Using old format file (backwards compat): ${usedFilepath}`);
+           logInfo(`Replay: Using old format file (backwards compat, migrateRecordings upgrades it): ${usedFilepath}`);
         }
       } catch (err) { /* Ignore read errors */ }
     }
 
+    // In record-missing mode, newly recorded interactions get appended to this file,
+    // so keep what's on disk in memory as the base (stored under the new filename)
+    if (allowMiss && !inMemory) {
+      // A concurrent request may have seeded it while the file was read
+      const loadedMeanwhile = inMemoryRecordings[currentSequenceName] && inMemoryRecordings[currentSequenceName][recordingFilenameNew];
+      const ownRecordings = usedLegacyFilename ? sequenceRecordings.filter(interaction => isRecordedFor(interaction, req.path)) : sequenceRecordings;
+      sequenceRecordings = loadedMeanwhile || seedMemoryFromDisk(currentSequenceName, recordingFilenameNew, ownRecordings, {
+        legacyFilename: usedLegacyFilename,
+        requestPath: req.path
+      });
+      usedFilepath = recordingFilepathNew;
+    }
+
     // 5. Check if any recordings were found
-    if (sequenceRecordings.length === 0) {
-      logWarn(`Replay warning: No recording file found or empty for path ${req.path} (checked ${recordingFilenameNew} and ${recordingFilenameOld})`);
-      res.status(500).send(`Echoproxia Replay Error: No recording found for path ${req.path} in sequence ${currentSequenceName}.`);
-      return false; // Indicate failure
+    const otherIndices = otherPathIndices(sequenceRecordings, req.path);
+    if (sequenceRecordings.length === otherIndices.length) {
+      if (allowMiss) return false;
+      logWarn(`Replay warning: No recording file found or empty for path ${req.path} (checked ${checkedFiles.join(', ')})`);
+      return sendReplayFailure(req, res, {
+        reason: 'no-recording',
+        message: `Echoproxia Replay Error: No recording found for path ${req.path} in sequence ${currentSequenceName}.`,
+        checkedFiles
+      }); // Indicate failure
     }
 
     // --- REMAINDER of handleReplay logic ---
@@ -301,25 +862,78 @@ async function createProxy (options = {}) {
     if (!replayCounters[currentSequenceName]) {
        replayCounters[currentSequenceName] = {};
     }
-    // IMPORTANT: Use usedFilepath for the replay counter key!
+    // IMPORTANT: Use usedFilepath for the replay state key!
+    // Each entry holds the indices already served, since matching can consume out of order.
     const sequenceReplayState = replayCounters[currentSequenceName];
-    const currentIndex = sequenceReplayState[usedFilepath] || 0; // Keyed by actual file used
+    if (!sequenceReplayState[usedFilepath]) {
+      sequenceReplayState[usedFilepath] = [];
+    }
+    const consumedIndices = sequenceReplayState[usedFilepath];
+    const unavailableIndices = [...consumedIndices, ...otherIndices];
 
-    if (currentIndex >= sequenceRecordings.length) {
+    if (unavailableIndices.length >= sequenceRecordings.length) {
+       if (allowMiss) return false;
        logWarn(`Replay warning: Sequence exhausted for ${usedFilepath}`);
-       res.status(500).send(`Echoproxia Replay Error: Sequence exhausted for path ${req.path} in sequence ${currentSequenceName} (file: ${usedFilepath}).`);
-       return false;
+       return sendReplayFailure(req, res, {
+         reason: 'sequence-exhausted',
+         message: `Echoproxia Replay Error: Sequence exhausted for path ${req.path} in sequence ${currentSequenceName} (file: ${usedFilepath}).`,
+         checkedFiles: [usedFilepath]
+       });
     }
 
-    const { response: recordedResponse } = sequenceRecordings[currentIndex];
-    sequenceReplayState[usedFilepath] = currentIndex + 1; // Update counter
+    // Pick the remaining interaction that best matches method, query and body,
+    // or the custom matcher if one is active (FIFO among ties)
+    let currentIndex;
+    try {
+      currentIndex = findBestInteraction(requestForMatching(req), sequenceRecordings, unavailableIndices, {
+        match: activeSequenceMatcher,
+        requireExact: allowMiss || activeSequenceStrictMatching
+      });
+    } catch (matchErr) {
+      logError(`Replay Error: Custom match function threw for ${req.method} ${req.originalUrl}:`, matchErr);
+      return sendReplayFailure(req, res, {
+        reason: 'matcher-error',
+        message: `Echoproxia Replay Error: The match function threw for ${req.method} ${req.originalUrl} in sequence ${currentSequenceName}: ${matchErr.message}`,
+        checkedFiles: [usedFilepath]
+      });
+    }
+    if (currentIndex === -1) {
+       if (allowMiss) return false;
+       logWarn(`Replay warning: No matching ${req.method} interaction left in ${usedFilepath}`);
+       return sendReplayFailure(req, res, {
+         reason: 'no-match',
+         message: `Echoproxia Replay Error: No matching recording for ${req.method} ${req.originalUrl} in sequence ${currentSequenceName} (file: ${usedFilepath}).`,
+         checkedFiles: [usedFilepath]
+       });
+    }
+
+    const interaction = sequenceRecordings[currentIndex];
+    const { response: recordedResponse } = interaction;
+    consumedIndices.push(currentIndex); // Mark as served
+    if (!activeSequenceMatcher && !isExactMatch(requestForMatching(req), interaction.request)) {
+      logWarn(`Replay warning: Serving a partial match for ${req.method} ${req.originalUrl} from ${usedFilepath} (query or body differs; set strictMatching to refuse)`);
+    }
 
     // --- Updated Replay Logic (using response.body) ---
     // Check if the 'body' field exists and is a string (base64)
     if (typeof recordedResponse.body !== 'string') {
       logError(`Replay Error: Recording at index ${currentIndex} for ${usedFilepath} is missing or has invalid 'body' format (expected base64 string).`);
-      res.status(500).send(`Echoproxia Replay Error: Invalid recording format (missing body) for path ${req.path} in sequence ${currentSequenceName}.`);
-      return false; // Indicate failure
+      return sendReplayFailure(req, res, {
+        reason: 'invalid-recording',
+        message: `Echoproxia Replay Error: Invalid recording format (missing body) for path ${req.path} in sequence ${currentSequenceName}.`,
+        checkedFiles: [usedFilepath]
+      }); // Indicate failure
+    }
+
+    // 0. Simulate upstream latency: hold the headers back for the time to first byte
+    const replayStart = Date.now();
+    const latency = resolveReplayLatency(activeSequenceReplayLatency, interaction, req);
+    if (latency && latency.ttfb > 0) {
+      await sleep(latency.ttfb);
+      if (res.destroyed) {
+        logWarn(`Replay: Client disconnected while waiting for simulated latency on ${usedFilepath}`);
+        return true;
+      }
     }
 
     // 1. Send Headers
@@ -339,9 +953,9 @@ async function createProxy (options = {}) {
     res.writeHead(recordedResponse.status);
 
     // 2. Decode and Send Body
+    let responseBuffer;
     try {
-      const responseBuffer = Buffer.from(recordedResponse.body, 'base64');
-      res.write(responseBuffer);
+      responseBuffer = Buffer.from(recordedResponse.body, 'base64');
     } catch (decodeErr) {
       logError(`Replay Error: Failed to decode base64 body at index ${currentIndex} for ${usedFilepath}: ${decodeErr.message}`);
       res.status(500).send(`Echoproxia Replay Error: Failed to decode recorded body for path ${req.path}.`);
@@ -352,22 +966,462 @@ async function createProxy (options = {}) {
       return false;
     }
 
-    // 3. End Stream
+    const delayScale = streamDelayScale(activeSequenceStreamReplay);
+    const chunkTimings = recordedResponse.chunkTimings;
+    const chunkBytes = Array.isArray(chunkTimings) ? chunkTimings.reduce((sum, { size }) => sum + size, 0) : -1;
+    if (delayScale !== null && chunkBytes === responseBuffer.length) {
+      // Re-emit the recorded chunks, waiting (scaled) until each chunk's recorded arrival time
+      const streamStart = Date.now();
+      let offset = 0;
+      for (const { size, time } of chunkTimings) {
+        const waitMs = time * delayScale - (Date.now() - streamStart);
+        if (waitMs > 0) await sleep(waitMs);
+        if (res.destroyed) {
+          logWarn(`Replay: Client disconnected while streaming ${usedFilepath}`);
+          return true;
+        }
+        res.write(responseBuffer.subarray(offset, offset + size));
+        offset += size;
+      }
+    } else {
+      if (delayScale !== null && chunkTimings) {
+        logWarn(`Replay: chunkTimings don't add up to the body length in ${usedFilepath}, sending body in one piece`);
+      }
+      res.write(responseBuffer);
+    }
+
+    // 3. End Stream (not before the simulated total duration has passed)
+    if (latency) {
+      const remainingMs = latency.duration - (Date.now() - replayStart);
+      if (remainingMs > 0) await sleep(remainingMs);
+    }
     res.end();
 
-    logInfo(`Replayed interaction ${currentIndex + 1}/${sequenceRecordings.length} from ${usedFilepath}`);
+    logInfo(`Replayed interaction ${currentIndex + 1}/${sequenceRecordings.length} (${consumedIndices.length} served) from ${usedFilepath}`);
     return true; // Indicate success
   }
 
+  // --- Interaction Recording (scoped) ---
+  // Appends an interaction to the in-memory recordings of a sequence file and
+  // queues the updated array for writing. With `consumed`, it is also marked as
+  // already served so replay in the same activation skips it.
+  function recordInteraction (sequenceName, recordingFilename, interaction, { consumed = false } = {}) {
+    const recordingFilepath = path.join(currentRecordingsDir, sequenceName, recordingFilename);
+
+    // Ensure sequence entry exists in memory
+    if (!inMemoryRecordings[sequenceName]) {
+      inMemoryRecordings[sequenceName] = {};
+    }
+    // Ensure path entry array exists in memory
+    if (!inMemoryRecordings[sequenceName][recordingFilename]) {
+      inMemoryRecordings[sequenceName][recordingFilename] = [];
+    }
+    // Append interaction to memory
+    inMemoryRecordings[sequenceName][recordingFilename].push(interaction);
+
+    // Get the full updated array from memory
+    const updatedRecordingsForPath = inMemoryRecordings[sequenceName][recordingFilename];
+
+    if (consumed) {
+      if (!replayCounters[sequenceName]) {
+        replayCounters[sequenceName] = {};
+      }
+      if (!replayCounters[sequenceName][recordingFilepath]) {
+        replayCounters[sequenceName][recordingFilepath] = [];
+      }
+      replayCounters[sequenceName][recordingFilepath].push(updatedRecordingsForPath.length - 1);
+    }
+
+    if (usesCassette(sequenceName)) {
+      if (!cassetteEntries[sequenceName]) cassetteEntries[sequenceName] = [];
+      cassetteEntries[sequenceName].push({ file: recordingFilename, interaction });
+      logInfo(`Recording interaction ${cassetteEntries[sequenceName].length} for ${interaction.request.path} to the ${sequenceName} cassette (Queuing write)`);
+      writeCassette(sequenceName);
+      return;
+    }
+
+    logInfo(`Recording interaction ${updatedRecordingsForPath.length} for ${interaction.request.path} to ${recordingFilename} (Queuing write)`);
+    // Trigger write queue processing (no await)
+    writeRecordingsToFile(sequenceName, recordingFilename, updatedRecordingsForPath);
+  }
+
+  // Reads a file's recordings (or those under its legacy names) into memory unless they
+  // are there already, so interactions recorded later are appended to them
+  async function ensureRecordingsLoaded (sequenceName, req, { websocket = false } = {}) {
+    const recordingFilename = recordingFilenameFor(req, { websocket })
+    await loadCassette(sequenceName)
+    if (inMemoryRecordings[sequenceName] && inMemoryRecordings[sequenceName][recordingFilename]) return
+    let recordings = await readRecordings(sequenceName, recordingFilename)
+    let seededFrom = null
+    for (const legacyFilename of legacyFilenamesFor(req, { websocket })) {
+      if (recordings.length > 0) break
+      recordings = (await readRecordings(sequenceName, legacyFilename)).filter(interaction => isRecordedFor(interaction, req.path))
+      if (recordings.length > 0) seededFrom = legacyFilename
+    }
+    if (inMemoryRecordings[sequenceName] && inMemoryRecordings[sequenceName][recordingFilename]) return // Loaded meanwhile
+    seedMemoryFromDisk(sequenceName, recordingFilename, recordings, { legacyFilename: seededFrom, requestPath: req.path })
+  }
+
+  // Whether recording into the active sequence must append to what is stored: it is
+  // in record mode without having been cleared (setMode switched it)
+  function appendsToStoredRecordings () {
+    return activeSequenceEffectiveMode === true && !activeSequenceCleared
+  }
+
+  // --- WebSocket Sessions (scoped) ---
+  // Finds and consumes the recorded WebSocket session that best matches an upgrade
+  // request in the active sequence. Returns null if none is left (or, with
+  // `requireExact`, none matches exactly).
+  async function takeWebSocketSession (req, { requireExact = false } = {}) {
+    const sequenceName = currentSequenceName
+    const recordingFilename = recordingFilenameFor(req, { websocket: true })
+    const recordingFilepath = path.join(currentRecordingsDir, sequenceName, recordingFilename)
+    // Keep the file in memory so sessions recorded later (record-missing) are appended to it
+    await ensureRecordingsLoaded(sequenceName, req, { websocket: true })
+    const sessions = inMemoryRecordings[sequenceName][recordingFilename]
+
+    if (!replayCounters[sequenceName]) {
+      replayCounters[sequenceName] = {}
+    }
+    if (!replayCounters[sequenceName][recordingFilepath]) {
+      replayCounters[sequenceName][recordingFilepath] = []
+    }
+    const consumedIndices = replayCounters[sequenceName][recordingFilepath]
+    const unavailableIndices = [...consumedIndices, ...otherPathIndices(sessions, req.path)]
+    const index = findBestInteraction(requestForMatching(req), sessions, unavailableIndices, {
+      match: activeSequenceMatcher,
+      requireExact: requireExact || activeSequenceStrictMatching
+    })
+    if (index === -1) return null
+    consumedIndices.push(index)
+    logInfo(`Replaying WebSocket session ${index + 1}/${sessions.length} from ${recordingFilepath}`)
+    return sessions[index]
+  }
+
+  // Returns a function that saves a finished WebSocket session to the sequence
+  // that was active when the connection was opened
+  function createWebSocketRecorder (req) {
+    const sequenceName = currentSequenceName
+    const consumed = activeSequenceEffectiveMode === RECORD_MISSING
+    const loaded = appendsToStoredRecordings() ? ensureRecordingsLoaded(sequenceName, req, { websocket: true }) : null
+    return async ({ protocol, frames, close }) => {
+      const interaction = {
+        request: {
+          method: req.method,
+          path: req.path,
+          originalUrl: redactQueryParams(req.originalUrl, queryParamsToRedact),
+          headers: redactHeaders(req.headers, headersToRedact),
+          body: null
+        },
+        response: { status: 101, protocol },
+        frames,
+        close
+      }
+      await loaded
+      recordInteraction(sequenceName, recordingFilenameFor(req, { websocket: true }), interaction, { consumed })
+    }
+  }
+
+  const webSocketHandler = createWebSocketHandler({
+    getMode: () => activeSequenceEffectiveMode,
+    resolveUpstream,
+    takeSession: takeWebSocketSession,
+    createRecorder: createWebSocketRecorder,
+    isControlPath
+  })
+
+  // --- HAR Import / Export (scoped) ---
+  // Origin a recording file's requests were sent to, for the absolute URLs HAR needs.
+  // Files of routes and forward-proxied hosts live in their own subdirectory. Host
+  // directories lose the scheme and the port's colon, so their origin comes from the
+  // manifest (or this process), else from the recorded Host header.
+  function baseUrlForRecording (filename, recordings, manifest) {
+    const subdir = path.dirname(filename)
+    if (subdir === '.') return currentTargetUrl
+    const route = upstreamRoutes.find(candidate => candidate.subdir === subdir)
+    if (route) return route.target
+    const origin = (manifest && manifest.origins && manifest.origins[subdir]) || forwardOrigins.get(subdir)
+    if (origin) return origin
+    const recordedHost = recordings
+      .map(({ request }) => request && request.headers && request.headers.host)
+      .find(host => typeof host === 'string' && host.replace(/[^a-zA-Z0-9.-]/g, '_') === subdir)
+    return `http://${recordedHost || subdir}`
+  }
+
+  // The URL the upstream was called with for a recorded request
+  function upstreamUrlForRecording (filename, originalUrl, recordings, manifest) {
+    const route = upstreamRoutes.find(candidate => candidate.subdir === path.dirname(filename))
+    const upstreamUrl = route && route.stripPrefix ? stripRoutePrefix(route, originalUrl) : originalUrl
+    return `${baseUrlForRecording(filename, recordings, manifest).replace(/\/$/, '')}${upstreamUrl}`
+  }
+
+  // The path a request for the upstream URL `url` came in with: routes with
+  // stripPrefix called their target without the prefix. That route is the one of
+  // `filename` if known, else the first one targeting the URL's origin (unless
+  // targetUrl does too).
+  function incomingPathForUrl (url, filename) {
+    const targets = target => new URL(target).origin === url.origin
+    const route = filename !== undefined
+      ? upstreamRoutes.find(candidate => candidate.subdir === path.dirname(filename))
+      : !targets(currentTargetUrl) && upstreamRoutes.find(candidate => candidate.prefix && targets(candidate.target))
+    return route && route.stripPrefix ? addRoutePrefix(route, url.pathname) : url.pathname
+  }
+
+  // Where this proxy would record (and look up) a request to `url`
+  function recordingFilenameForUrl (url, { websocket }) {
+    const req = { url: url.href, originalUrl: url.href, path: url.pathname, headers: { host: url.host }, socket: {} }
+    const { subdir } = resolveUpstream(req)
+    return path.join(subdir, recordingFilename(url.pathname, { websocket }))
+  }
+
+  // Applies the proxy's redaction options to an interaction read from a HAR file
+  function redactImportedInteraction ({ request, response, ...rest }) {
+    const redactBase64Body = (body, type, headers) => {
+      if (typeof body !== 'string' || !redactRecordedBody) return body
+      return redactRecordedBody(Buffer.from(body, 'base64'), { type, path: request.path, headers }).toString('base64')
+    }
+    const redactedResponse = { ...response }
+    if (response.headers) {
+      redactedResponse.headers = redactHeaders(response.headers, headersToRedact)
+      redactedResponse.body = redactBase64Body(response.body, 'response', response.headers)
+      if (response.chunkTimings && redactedResponse.body !== response.body) {
+        redactedResponse.chunkTimings = fitChunkTimings(response.chunkTimings, Buffer.from(redactedResponse.body, 'base64').length)
+      }
+    }
+    return {
+      request: {
+        ...request,
+        originalUrl: redactQueryParams(request.originalUrl, queryParamsToRedact),
+        headers: redactHeaders(request.headers, headersToRedact),
+        body: redactBase64Body(request.body, 'request', request.headers)
+      },
+      response: redactedResponse,
+      ...rest
+    }
+  }
+
+  // Converts a sequence's recordings (WebSocket sessions included) to a HAR 1.2 log
+  async function exportHar (sequenceName = currentSequenceName) {
+    const files = await loadSequenceFiles(sequenceName)
+    // Cassette interactions in arrival order, then per-path files the cassette doesn't cover
+    const cassette = cassetteEntries[sequenceName] || []
+    const cassetteFiles = new Set(cassette.map(({ file }) => file))
+    const ordered = [
+      ...cassette.map(({ file, interaction }) => ({ filename: file, recordings: [interaction] })),
+      ...files
+        .filter(({ filename }) => !cassetteFiles.has(filename))
+        .map(({ filename, recordings, movedIndices }) => ({ filename, recordings: recordings.filter((interaction, index) => !movedIndices.includes(index)) }))
+    ]
+    const manifest = await getManifest(sequenceName)
+    return sequenceToHar(ordered, {
+      urlFor: (filename, originalUrl, recordings) => upstreamUrlForRecording(filename, originalUrl, recordings, manifest),
+      sequenceName
+    })
+  }
+
+  // Replaces a sequence's recordings with the entries of a HAR file (a path or a
+  // parsed HAR object). Redaction options and the secret scan apply as when recording.
+  async function importHar (harFile, sequenceName = currentSequenceName) {
+    const har = typeof harFile === 'string' ? JSON.parse(await fs.readFile(harFile, 'utf8')) : harFile
+    const entries = harToRecordings(har, { filenameFor: recordingFilenameForUrl, pathFor: incomingPathForUrl })
+      .map(({ file, interaction }) => ({ file: path.normalize(file), interaction: redactImportedInteraction(interaction) }))
+    for (const { file } of entries) {
+      if (path.isAbsolute(file) || file.startsWith('..')) {
+        throw new Error(`Echoproxia: HAR entry points outside the sequence directory (${file})`)
+      }
+    }
+
+    inMemoryRecordings[sequenceName] = {}
+    cassetteEntries[sequenceName] = []
+    delete seededLegacyPaths[sequenceName]
+    replayCounters[sequenceName] = {}
+    await discardQueuedWrites(sequenceName)
+    await storage.clearSequence(sequenceName)
+    delete manifests[sequenceName]
+
+    const leakErrorsBefore = secretLeakErrors.length
+    for (const { file, interaction } of entries) {
+      if (!inMemoryRecordings[sequenceName][file]) {
+        inMemoryRecordings[sequenceName][file] = []
+      }
+      inMemoryRecordings[sequenceName][file].push(interaction)
+    }
+    const files = Object.keys(inMemoryRecordings[sequenceName]).sort()
+    if (storageLayout === 'cassette') {
+      cassetteEntries[sequenceName] = entries
+      writeCassette(sequenceName)
+    } else {
+      for (const file of files) {
+        writeRecordingsToFile(sequenceName, file, inMemoryRecordings[sequenceName][file])
+      }
+    }
+    await flush()
+    if (secretLeakErrors.length > leakErrorsBefore) throw secretLeakErrors[leakErrorsBefore]
+    logInfo(`Imported ${entries.length} HAR entries into ${files.length} file(s) of sequence ${sequenceName}`)
+    return { sequence: sequenceName, files, interactions: entries.length }
+  }
+
+  // --- Sequence File Loading (scoped) ---
+  // Loads every recording file of a sequence the way handleReplay would see it:
+  // in-memory recordings first, then .echo.json files, then legacy .json files
+  // that have no .echo.json counterpart. `filePath` is the replayCounters key.
+  // `movedIndices` are interactions of legacy files that were read into memory under
+  // their path's current file (see seededLegacyPaths); files holding nothing else are left out.
+  async function loadSequenceFiles (sequenceName) {
+    const sequencePath = path.join(currentRecordingsDir, sequenceName)
+    await loadCassette(sequenceName)
+    const sequenceMemory = inMemoryRecordings[sequenceName] || {}
+    const filenames = await storage.listFiles(sequenceName).catch(err => {
+      logError(`Error listing recordings of sequence ${sequenceName}:`, err)
+      return []
+    })
+
+    const newFilenames = new Set([
+      ...Object.keys(sequenceMemory),
+      ...filenames.filter(filename => filename.endsWith('.echo.json'))
+    ])
+    const oldFilenames = filenames.filter(filename =>
+      isLegacyFilename(filename) &&
+      !newFilenames.has(filename.replace(/\.json$/, '.echo.json'))
+    )
+
+    const files = []
+    const addFile = (filename, recordings) => {
+      const seededPaths = (seededLegacyPaths[sequenceName] || {})[filename]
+      const movedIndices = seededPaths
+        ? recordings.flatMap((interaction, index) => seededPaths.has(interaction.request && interaction.request.path) ? [index] : [])
+        : []
+      if (movedIndices.length > 0 && movedIndices.length === recordings.length) return
+      files.push({ filename, filePath: path.join(sequencePath, filename), recordings, movedIndices })
+    }
+    for (const filename of [...newFilenames].sort()) {
+      addFile(filename, sequenceMemory[filename] || await readRecordings(sequenceName, filename))
+    }
+    for (const filename of oldFilenames.sort()) {
+      addFile(filename, await readRecordings(sequenceName, filename))
+    }
+    return files
+  }
+
+  // --- Manifests (scoped) ---
+  // Returns a sequence's manifest (defaults to the active sequence) once pending
+  // writes have landed, or null for sequences without one
+  async function getManifest (sequenceName = currentSequenceName) {
+    await flush()
+    const manifest = manifests[sequenceName]
+    if (manifest) return { ...manifest, files: { ...manifest.files }, paths: { ...manifest.paths }, ...(manifest.origins && { origins: { ...manifest.origins } }) }
+    try {
+      return await storage.read(sequenceName, MANIFEST_FILENAME)
+    } catch (err) {
+      logWarn(`Could not read the manifest of sequence ${sequenceName}: ${err.message}`)
+      return null
+    }
+  }
+
+  // --- Consumption Reporting (scoped) ---
+  // Returns { filename: { interactions, served: [index, ...], unused: [{ index, method, originalUrl }] } }
+  // for each recording file of a sequence (defaults to the active sequence)
+  async function getConsumption (sequenceName = currentSequenceName) {
+    validateSequenceName(sequenceName)
+    const sequenceReplayState = replayCounters[sequenceName] || {}
+    const consumption = {}
+    for (const { filename, filePath, recordings, movedIndices } of await loadSequenceFiles(sequenceName)) {
+      const consumedIndices = sequenceReplayState[filePath] || []
+      consumption[filename] = {
+        interactions: recordings.length - movedIndices.length,
+        served: [...consumedIndices].sort((a, b) => a - b),
+        unused: recordings
+          .map((interaction, index) => ({
+            index,
+            method: interaction.request?.method,
+            originalUrl: interaction.request?.originalUrl || interaction.request?.path
+          }))
+          .filter(({ index }) => !consumedIndices.includes(index) && !movedIndices.includes(index))
+      }
+    }
+    return consumption
+  }
+
+  // Returns { sequenceName: { filename: [{ index, method, originalUrl }] } } listing
+  // interactions never replayed. Only sequences activated in replay or
+  // record-missing mode are reported; files and sequences with nothing unused are omitted.
+  async function getUnusedInteractions (sequenceName) {
+    const sequenceNames = sequenceName ? [sequenceName] : [...replayedSequences]
+    const unused = {}
+    for (const name of sequenceNames) {
+      for (const [filename, { unused: unusedInFile }] of Object.entries(await getConsumption(name))) {
+        if (unusedInFile.length > 0) {
+          if (!unused[name]) unused[name] = {}
+          unused[name][filename] = unusedInFile
+        }
+      }
+    }
+    return unused
+  }
+
+  async function assertSequenceComplete (sequenceName = currentSequenceName) {
+    const unused = await getUnusedInteractions(sequenceName)
+    const unusedFiles = unused[sequenceName]
+    if (!unusedFiles) return
+
+    const lines = []
+    for (const [filename, interactions] of Object.entries(unusedFiles)) {
+      for (const { index, method, originalUrl } of interactions) {
+        lines.push(`  ${filename} #${index}: ${method} ${originalUrl}`)
+      }
+    }
+    const err = new Error(`Echoproxia: ${lines.length} recorded interaction(s) in sequence ${sequenceName} were never replayed:\n${lines.join('\n')}`)
+    err.unused = unused
+    throw err
+  }
+
+  // --- Control Endpoints ---
+  // Served below controlPrefix on the proxy port, or on a port of their own with controlPort
+  const controlRouter = createControlRouter({
+    setSequence: internalSetSequence,
+    setMode: internalSetMode,
+    setTargetUrl: internalSetTargetUrl,
+    resetReplay,
+    flush,
+    getStatus,
+    getConsumption,
+    token: controlToken
+  })
+  let controlApp = null
+  if (controlPort === null) {
+    // Forward-proxied requests are for other hosts, whatever their path
+    app.use(controlPrefix, (req, res, next) => req.forwardOrigin ? next() : controlRouter(req, res, next))
+  } else {
+    controlApp = express()
+    controlApp.use(rawBodyParser({ limit: MAX_REQUEST_BODY_BYTES }))
+    controlApp.use(controlRouter)
+  }
+
+  // Control API paths on the proxy port are never proxied, so with a control port
+  // every path can be recorded. So can every path of forward-proxied hosts.
+  function isControlPath (req) {
+    return controlPort === null && !req.forwardOrigin &&
+      (req.path === controlPrefix || req.path.startsWith(`${controlPrefix}/`))
+  }
+
   // --- Proxy Middleware Setup ---
   // We defer creating the actual middleware instance until a request comes in record mode,
   // to ensure it captures the currentTargetUrl correctly.
   // const proxyMiddlewareInstance = createProxyMiddleware({ ... })
 
   // --- Main Request Handling Middleware ---
-  app.use(async (req, res, next) => {
+  // Express 4 doesn't catch rejections of async middleware, so errors are passed on
+  // to its error handler instead of leaving the request hanging
+  app.use((req, res, next) => {
+    handleRequest(req, res, next).catch(err => {
+      logError(`Error handling ${req.method} ${req.originalUrl}:`, err)
+      next(err)
+    })
+  })
+
+  async function handleRequest (req, res, next) {
     // Ignore internal control path
-    if (req.path.startsWith('/echoproxia/')) {
+    if (isControlPath(req)) {
       return next()
     }
 
@@ -386,14 +1440,48 @@ async function createProxy (options = {}) {
       // >>> FIX RE-APPLIED (Final): Explicitly return to prevent falling through <<<
       return; 
     } else {
+      if (activeSequenceEffectiveMode === RECORD_MISSING) {
+        // Record-missing Mode - Replay if an exact match is left, otherwise record it below
+        const replayed = await handleReplay(req, res, { allowMiss: true })
+        if (replayed || res.headersSent) return
+        logInfo(`Record-missing mode: no recorded match for ${req.method} ${req.originalUrl}, recording it`)
+      }
       // Record Mode - Create and call the proxy middleware instance
-      logInfo(`Record mode active for ${req.path}, proxying to ${currentTargetUrl}`);
+      const { target, rewritePath } = resolveUpstream(req);
+      logInfo(`Record mode active for ${req.path}, proxying to ${target}`);
+      // For the recorded time to first byte and duration; set when the request goes
+      // upstream, so loading recordings and the secret scan don't count
+      let requestStart = null;
+      // Captured up front: pathRewrite (routes with stripPrefix) rewrites req.url
+      const recordingFilename = recordingFilenameFor(req);
+      const requestPath = req.path;
+      if (appendsToStoredRecordings()) {
+        await ensureRecordingsLoaded(currentSequenceName, req);
+      }
+      if (secretScanner && secretScanner.action === 'reject') {
+        // Refuse before anything reaches the upstream if the request would leak a secret
+        const requestBody = recordableRequestBody(req, requestPath);
+        const findings = secretScanner.scan([{
+          request: {
+            path: requestPath,
+            originalUrl: redactQueryParams(req.originalUrl, queryParamsToRedact),
+            headers: redactHeaders(req.headers, headersToRedact),
+            body: requestBody ? requestBody.toString('base64') : null
+          }
+        }]);
+        if (findings.length > 0) {
+          refuseLeakingRequest(res, `${req.method} ${requestPath}`, findings);
+          return;
+        }
+      }
       const proxyMiddlewareInstance = createProxyMiddleware({
-        target: currentTargetUrl, // Use the current URL directly
+        target, // The current URL, the matching route's target, or the requested origin for forward-proxied requests
+        ...(rewritePath && { pathRewrite: rewritePath }), // Routes with stripPrefix
         changeOrigin: true,
         selfHandleResponse: true,
         logLevel: 'silent',
         onProxyReq: (proxyReq, req, res) => {
+          requestStart = Date.now()
           // Add request body if present
           if (req.body && req.body.length > 0) {
             proxyReq.setHeader('Content-Length', Buffer.byteLength(req.body))
@@ -402,6 +1490,15 @@ async function createProxy (options = {}) {
           proxyReq.end()
         },
         onProxyRes: (proxyRes, req, res) => {
+          if (secretScanner && secretScanner.action === 'reject') {
+            // Response headers can still be refused; secrets in the body are caught when writing
+            const findings = secretScanner.scan([{ response: { headers: redactHeaders({ ...proxyRes.headers }, headersToRedact) } }]);
+            if (findings.length > 0) {
+              proxyRes.resume();
+              refuseLeakingRequest(res, `${req.method} ${requestPath}`, findings);
+              return;
+            }
+          }
           // --- Streaming Refactor ---
           // Immediately forward headers from the target response to the client
           Object.keys(proxyRes.headers).forEach((key) => {
@@ -413,10 +1510,14 @@ async function createProxy (options = {}) {
 
           const responseBodyChunks = []; // Rename for clarity, store raw chunks
           // let completeBodyForLogging = Buffer.alloc(0) // Removed, less useful now
+          // Chunk sizes and arrival times (ms since the response headers arrived) for streaming replay
+          const responseStart = Date.now();
+          const chunkTimings = [];
 
           proxyRes.on('data', (chunk) => {
             res.write(chunk); // Stream to client
             responseBodyChunks.push(chunk); // Store raw chunk for processing later
+            chunkTimings.push({ size: chunk.length, time: Date.now() - responseStart });
           });
 
           proxyRes.on('end', async () => {
@@ -425,10 +1526,15 @@ async function createProxy (options = {}) {
             const responseStatus = proxyRes.statusCode;
             const responseHeaders = proxyRes.headers; // Keep original headers for checks
             const headersForRecording = redactHeaders({ ...responseHeaders }, headersToRedact);
-            const recordingFilename = sanitizeFilename(req.path);
-            const recordingFilepath = path.join(currentRecordingsDir, currentSequenceName, recordingFilename);
 
-            const responseBuffer = Buffer.concat(responseBodyChunks); // Complete raw response body
+            // Complete raw response body, with secrets redacted (redactBody) before it is recorded
+            const wireResponseBuffer = Buffer.concat(responseBodyChunks);
+            const responseBuffer = redactRecordedBody
+              ? redactRecordedBody(wireResponseBuffer, { type: 'response', path: requestPath, headers: responseHeaders })
+              : wireResponseBuffer;
+            const recordedChunkTimings = responseBuffer === wireResponseBuffer
+              ? chunkTimings
+              : fitChunkTimings(chunkTimings, responseBuffer.length);
 
             // <<< START Decompress and Decode Response Body Conditionally >>>
             let responseBodyPlainText = null;
@@ -436,18 +1542,14 @@ async function createProxy (options = {}) {
             const responseBodyBase64 = responseBuffer.toString('base64'); 
 
             if (shouldIncludePlainText) {
-                let bufferToDecode = responseBuffer;
                 const contentEncoding = responseHeaders['content-encoding'];
 
                 try {
-                    // Decompress if necessary
-                    if (contentEncoding === 'gzip') {
-                        bufferToDecode = zlib.gunzipSync(responseBuffer);
-                        logInfo(`Decompressed GZIP response for ${recordingFilename}`);
-                    } else if (contentEncoding === 'deflate') {
-                        bufferToDecode = zlib.inflateSync(responseBuffer);
-                        logInfo(`Decompressed DEFLATE response for ${recordingFilename}`);
-                    } // Add other encodings like 'br' (brotli) if needed with require('iltorb') or similar
+                    // Decompress if necessary (gzip, deflate, br, zstd, or a chain like 'gzip, br')
+                    const bufferToDecode = decodeBody(responseBuffer, responseHeaders);
+                    if (contentEncoding) {
+                        logInfo(`Decompressed ${contentEncoding} response for ${recordingFilename}`);
+                    }
 
                     // Now attempt UTF-8 decoding on the (potentially decompressed) buffer
                     responseBodyPlainText = bufferToDecode.toString('utf8');
@@ -462,23 +1564,24 @@ async function createProxy (options = {}) {
             // <<< Decode Request Body Conditionally >>>
             let requestBodyPlainText = null;
             // Prefer req.body directly if bodyParser middleware ran (like express.raw)
-            const originalRequestBodyBuffer = req.body instanceof Buffer ? req.body : null; 
+            const originalRequestBodyBuffer = recordableRequestBody(req, requestPath);
             const originalRequestBodyBase64 = originalRequestBodyBuffer ? originalRequestBodyBuffer.toString('base64') : null;
 
             if (shouldIncludePlainText && originalRequestBodyBuffer) {
                 try {
-                    requestBodyPlainText = originalRequestBodyBuffer.toString('utf8');
+                    // Request bodies can be compressed too (content-encoding on the request)
+                    requestBodyPlainText = decodeBody(originalRequestBodyBuffer, req.headers).toString('utf8');
                 } catch (decodeError) {
-                    logWarn(`Could not decode request body to UTF-8 for ${recordingFilename}: ${decodeError.message}`);
-                    requestBodyPlainText = `[Echoproxia: Failed to decode request body as UTF-8 - ${decodeError.message}]`;
+                    logWarn(`Could not decompress/decode request body for ${recordingFilename} (Encoding: ${req.headers['content-encoding'] || 'none'}): ${decodeError.message}`);
+                    requestBodyPlainText = `[Echoproxia: Failed to decompress/decode request body as UTF-8 - ${decodeError.message}]`;
                 }
             }
             // <<< End Decode Request Body Conditionally >>>
 
             const recordedRequest = {
               method: req.method,
-              path: req.path,
-              originalUrl: req.originalUrl,
+              path: requestPath,
+              originalUrl: redactQueryParams(req.originalUrl, queryParamsToRedact),
               headers: redactHeaders(req.headers, headersToRedact),
               // Store original request body as base64
               body: originalRequestBodyBase64, 
@@ -490,32 +1593,24 @@ async function createProxy (options = {}) {
             const recordedResponse = {
               status: responseStatus,
               headers: headersForRecording,
+              // Upstream latency in ms, used by the replayLatency option
+              timing: { ttfb: responseStart - requestStart, duration: Date.now() - requestStart },
               ...(responseBodyPlainText !== null && { bodyPlainText: responseBodyPlainText }),
               // Replace chunks with single base64 body for consistency and replay
-              body: responseBodyBase64 
+              body: responseBodyBase64,
               // chunks: recordedChunks // DEPRECATED
+              // Boundaries of streamed responses, so replay can re-emit them chunk by chunk
+              ...(isStreamedResponse(responseHeaders) && recordedChunkTimings.length > 0 && { chunkTimings: recordedChunkTimings })
             };
 
             // <<< MODIFY: Store in memory AND trigger immediate write >>>
             const interaction = { request: recordedRequest, response: recordedResponse };
 
-            // Ensure sequence entry exists in memory
-            if (!inMemoryRecordings[currentSequenceName]) {
-              inMemoryRecordings[currentSequenceName] = {};
-            }
-            // Ensure path entry array exists in memory
-            if (!inMemoryRecordings[currentSequenceName][recordingFilename]) {
-              inMemoryRecordings[currentSequenceName][recordingFilename] = [];
-            }
-            // Append interaction to memory
-            inMemoryRecordings[currentSequenceName][recordingFilename].push(interaction);
-
-            // Get the full updated array from memory
-            const updatedRecordingsForPath = inMemoryRecordings[currentSequenceName][recordingFilename];
-
-            logInfo(`Recording interaction ${updatedRecordingsForPath.length} for ${req.path} to ${recordingFilename} (Queuing write)`);
-            // Trigger write queue processing (no await)
-            writeRecordingsToFile(recordingFilepath, updatedRecordingsForPath);
+            recordInteraction(currentSequenceName, recordingFilename, interaction, {
+              // In record-missing mode the new interaction has already been answered, so it
+              // counts as consumed and won't be replayed again in this activation
+              consumed: activeSequenceEffectiveMode === RECORD_MISSING
+            });
             /* 
             // OLD direct write call:
             // logInfo(`Recording interaction for ${req.path} to ${recordingFilename} (PlainText: ${shouldIncludePlainText})`);
@@ -544,36 +1639,60 @@ async function createProxy (options = {}) {
       })
       proxyMiddlewareInstance(req, res, next) // This line should only be reached in Record mode
     }
-  })
+  }
 
   // --- Start Server ---
+  let controlServer = null
+  if (controlApp) {
+    const actualControlPort = await getPort(controlPort === true ? {} : { port: controlPort })
+    controlServer = await new Promise((resolve, reject) => {
+      const server = controlApp.listen(actualControlPort, () => resolve(server))
+      server.on('error', reject)
+    })
+    logInfo(`Control API listening on port ${actualControlPort}`)
+  }
   const actualPort = await getPort({ port: options.port || getPort.makeRange(5000, 5100) })
   return new Promise((resolve, reject) => {
     try {
       runningServer = app.listen(actualPort, () => {
         logInfo(`Server listening on port ${actualPort}`)
-        logInfo(`Mode: ${currentRecordMode ? 'Record' : 'Replay'}, Target: ${currentTargetUrl}, Recordings: ${currentRecordingsDir}`)
+        logInfo(`Mode: ${describeMode(currentRecordMode)}, Target: ${currentTargetUrl}, Recordings: ${currentRecordingsDir}`)
 
         // --- Return Control Object ---
         resolve({
           port: actualPort,
           url: `http://localhost:${actualPort}`,
+          // Base URL of the HTTP control API
+          controlUrl: controlServer ? `http://localhost:${controlServer.address().port}` : `http://localhost:${actualPort}${controlPrefix}`,
           server: runningServer,
+          // PEM of the CA that signs intercepted HTTPS traffic (forward-proxy mode only)
+          caCert: certificateAuthority ? certificateAuthority.certPem : null,
+          caCertPath: certificateAuthority ? certificateAuthority.certPath : null,
           setSequence: async (sequenceName, sequenceOptions = {}) => { // Keep async
             // Await the internal function which handles async cleanup
             await internalSetSequence(sequenceName, sequenceOptions)
           },
-          // Add setMode, setTargetUrl etc. if needed for runtime changes
+          getUnusedInteractions,
+          assertSequenceComplete,
+          exportHar,
+          importHar,
+          listSequences: () => storage.listSequences(),
+          flush,
+          getManifest,
+          setMode: internalSetMode,
+          setTargetUrl: internalSetTargetUrl,
           stop: async () => {
-            // <<< Set stopping flag >>>
-            logInfo('STOP: Setting isStopping flag.');
-            isStopping = true;
-
             logInfo(`Stop requested. Waiting for write queue and active write...`);
-            while (writeQueue.length > 0 || isWriting) {
-              await new Promise(resolve => setTimeout(resolve, 10)); // Keep the wait
-            }
+            await flush();
             logInfo(`STOP: Write queue drained and no active write.`);
+            const leakError = secretLeakErrors[0];
+
+            // Open WebSocket connections would keep the server from closing
+            webSocketHandler.close();
+            if (controlServer) {
+              await new Promise(resolveClose => controlServer.close(() => resolveClose()));
+              controlServer = null;
+            }
 
             return new Promise((resolveStop, rejectStop) => {
               if (runningServer) {
@@ -583,18 +1702,27 @@ async function createProxy (options = {}) {
                   }
                   logInfo('Server stopped'); // Keep standard stop log
                   runningServer = null
+                  // Recordings the secret scan refused to write fail the run
+                  if (leakError) return rejectStop(leakError)
                   resolveStop()
                 })
               } else {
-                resolveStop()
+                leakError ? rejectStop(leakError) : resolveStop()
               }
             })
           }
         })
       })
 
+      // WebSocket upgrades bypass Express; record or replay them separately
+      runningServer.on('upgrade', webSocketHandler.handleUpgrade)
+      if (certificateAuthority) {
+        runningServer.on('connect', createConnectHandler(runningServer, certificateAuthority))
+      }
+
       runningServer.on('error', (err) => {
         logError('Server error:', err)
+        if (controlServer) controlServer.close()
         reject(err)
       })
 
@@ -606,4 +1734,16 @@ async function createProxy (options = {}) {
   })
 }
 
-module.exports = { createProxy } 
\ No newline at end of file
+// Upgrades legacy sequences (see manifest.js) in `recordingsDir` or a `storage`
+// adapter in place and writes their manifests. Resolves to a report per sequence.
+async function migrateRecordings (options = {}) {
+  const {
+    recordingsDir = path.join(process.cwd(), '__recordings__'),
+    storage = null,
+    sequences = null, // Only these sequences; all of them by default
+    targetUrl = null // Noted in manifests that don't know their target yet
+  } = options
+  return migrateStorage(storage || createFileStorage(recordingsDir), { sequences, targetUrl })
+}
+
+module.exports = { createProxy, createFileStorage, createMemoryStorage, migrateRecordings }
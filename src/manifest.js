@@ -0,0 +1,186 @@
+// src/manifest.js - Per-sequence manifest and migration of legacy recordings
+const path = require('path')
+const debug = require('debug')
+const { currentFilenameFor } = require('./filenames')
+const { version } = require('../package.json')
+
+const logInfo = debug('echoproxia:info')
+const logWarn = debug('echoproxia:warn')
+
+// Schema versions of recorded sequences:
+// 1: `_<path>.json` files, response bodies as base64 `chunks` arrays
+// 2: `_<path>.echo.json` files (or a cassette), response bodies as one base64 `body`
+// 3: paths that could share a file name get a hashed one (see filenames.js)
+const SCHEMA_VERSION = 3
+
+// Lives in the sequence directory; recording files always start with `_`, so it can't clash
+const MANIFEST_FILENAME = 'echoproxia.manifest.json'
+
+function isLegacyFilename (filename) {
+  return filename.endsWith('.json') && !filename.endsWith('.echo.json') && filename !== MANIFEST_FILENAME
+}
+
+// A new manifest for a sequence. `files` counts the interactions of each per-path
+// file, `cassette` those of the cassette (if the sequence has one). `paths` names the
+// request path each file records, for readers of the manifest; replay derives
+// file names from the request and never reads it. `origins` (added once a
+// forward-proxied host is recorded) maps host subdirectories to their origins.
+function createManifest (sequenceName, { targetUrl = null } = {}) {
+  const now = new Date().toISOString()
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    echoproxiaVersion: version,
+    sequence: sequenceName,
+    targetUrl,
+    createdAt: now,
+    updatedAt: now,
+    interactions: 0,
+    files: {},
+    paths: {}
+  }
+}
+
+// Records a written file (null for the cassette, whose entries name their file) in a
+// manifest. `originFor(subdir)` gives the origin of a host subdirectory, if known.
+function updateManifest (manifest, filename, recordings, { originFor = () => null } = {}) {
+  if (!manifest.paths) manifest.paths = {}
+  const entries = filename === null ? recordings : recordings.map(interaction => ({ file: filename, ...interaction }))
+  for (const { file, request } of entries) {
+    if (request && typeof request.path === 'string') manifest.paths[file] = request.path
+    const origin = typeof file === 'string' ? originFor(path.dirname(file)) : null
+    if (origin) manifest.origins = { ...manifest.origins, [path.dirname(file)]: origin }
+  }
+  if (filename === null) {
+    manifest.cassette = recordings.length
+  } else {
+    manifest.files[filename] = recordings.length
+  }
+  manifest.interactions = Object.values(manifest.files).reduce((sum, fileCount) => sum + fileCount, manifest.cassette || 0)
+  manifest.updatedAt = new Date().toISOString()
+  manifest.echoproxiaVersion = version
+  return manifest
+}
+
+// Brings an interaction of an older schema up to date. Returns it unchanged if
+// there is nothing to upgrade.
+function upgradeInteraction (interaction) {
+  const response = interaction && interaction.response
+  if (!response || typeof response.body === 'string' || !Array.isArray(response.chunks)) return interaction
+  const { chunks, ...rest } = response
+  const body = Buffer.concat(chunks.map(chunk => Buffer.from(chunk, 'base64'))).toString('base64')
+  return { ...interaction, response: { ...rest, body } }
+}
+
+function upgradeInteractions (interactions) {
+  const upgraded = interactions.map(upgradeInteraction)
+  return { upgraded, changed: upgraded.filter((interaction, index) => interaction !== interactions[index]).length }
+}
+
+// Upgrades a sequence to the current schema in place and writes its manifest.
+// `chunks` bodies become `body`, and interactions move to the file their path maps
+// to now: legacy `.json` files become `.echo.json` files, and unhashed files shared by
+// several paths are split. Interactions whose file already exists under the current
+// name stay put, since replay prefers that file anyway; their source is reported in
+// `shadowedFiles`. Returns { sequence, renamedFiles: [{ from, to }], upgradedInteractions,
+// shadowedFiles, manifest }.
+async function migrateSequence (storage, sequenceName, { targetUrl = null } = {}) {
+  const filenames = await storage.listFiles(sequenceName)
+  const existing = await storage.read(sequenceName, MANIFEST_FILENAME)
+  const manifest = createManifest(sequenceName, { targetUrl })
+  if (existing && typeof existing === 'object' && !Array.isArray(existing)) {
+    // Keep what the existing manifest knows about the sequence's origin
+    manifest.createdAt = existing.createdAt || manifest.createdAt
+    manifest.targetUrl = targetUrl || existing.targetUrl || null
+    if (existing.origins) manifest.origins = existing.origins
+  }
+  const report = { sequence: sequenceName, renamedFiles: [], upgradedInteractions: 0, shadowedFiles: [], manifest }
+
+  // Current files first, so legacy files can move into names that are still free
+  const echoFilenames = filenames.filter(name => name.endsWith('.echo.json')).sort()
+  const legacyFilenames = filenames.filter(isLegacyFilename).sort()
+  const moved = new Map() // target filename -> interactions moved into it
+  const kept = new Map() // source filename -> interactions staying in it
+  for (const filename of [...echoFilenames, ...legacyFilenames]) {
+    const ownFilename = filename.replace(/(?<!\.echo)\.json$/, '.echo.json')
+    if (filename !== ownFilename && filenames.includes(ownFilename)) {
+      logWarn(`Migration: keeping ${filename} of sequence ${sequenceName}, ${ownFilename} replaces it during replay`)
+      report.shadowedFiles.push(filename)
+      continue
+    }
+    const interactions = await storage.read(sequenceName, filename)
+    if (!Array.isArray(interactions)) continue
+    const { upgraded, changed } = upgradeInteractions(interactions)
+    report.upgradedInteractions += changed
+    const staying = []
+    for (const interaction of upgraded) {
+      const target = currentFilenameFor(ownFilename, interaction)
+      if (target === filename) {
+        staying.push(interaction)
+      } else if (filenames.includes(target) && target !== ownFilename) {
+        staying.push(interaction) // Shadowed by the current file
+        if (!report.shadowedFiles.includes(filename)) report.shadowedFiles.push(filename)
+      } else {
+        if (!moved.has(target)) moved.set(target, [])
+        moved.get(target).push(interaction)
+        if (!report.renamedFiles.some(({ from, to }) => from === filename && to === target)) {
+          report.renamedFiles.push({ from: filename, to: target })
+        }
+      }
+    }
+    if (staying.length !== upgraded.length || changed > 0) kept.set(filename, staying)
+    else updateManifest(manifest, filename, upgraded)
+  }
+
+  for (const [filename, interactions] of kept) {
+    if (interactions.length === 0) continue
+    await storage.write(sequenceName, filename, interactions)
+    // Shadowed legacy files are kept, but aren't part of the sequence anymore
+    if (!isLegacyFilename(filename)) updateManifest(manifest, filename, interactions)
+  }
+  for (const [filename, interactions] of moved) {
+    await storage.write(sequenceName, filename, interactions)
+    updateManifest(manifest, filename, interactions)
+  }
+  // Only remove emptied files once their interactions are written elsewhere
+  for (const [filename, interactions] of kept) {
+    if (interactions.length === 0) await storage.remove(sequenceName, filename)
+  }
+
+  const cassette = await storage.read(sequenceName, null)
+  if (Array.isArray(cassette)) {
+    const { upgraded, changed } = upgradeInteractions(cassette)
+    const renamed = upgraded.map(entry => {
+      if (typeof entry.file !== 'string') return entry
+      const current = currentFilenameFor(entry.file, entry)
+      return current === entry.file ? entry : { ...entry, file: current }
+    })
+    const movedEntries = renamed.filter((entry, index) => entry !== upgraded[index]).length
+    if (changed > 0 || movedEntries > 0) await storage.write(sequenceName, null, renamed)
+    report.upgradedInteractions += changed
+    updateManifest(manifest, null, renamed)
+  }
+
+  await storage.write(sequenceName, MANIFEST_FILENAME, manifest)
+  logInfo(`Migrated sequence ${sequenceName}: ${report.renamedFiles.length} file move(s), ${report.upgradedInteractions} interaction(s) upgraded`)
+  return report
+}
+
+// Migrates every sequence of a storage (or only `sequences`). Don't run it while a
+// proxy is recording into the same storage.
+async function migrateStorage (storage, { sequences = null, targetUrl = null } = {}) {
+  const reports = []
+  for (const sequenceName of sequences || await storage.listSequences()) {
+    reports.push(await migrateSequence(storage, sequenceName, { targetUrl }))
+  }
+  return reports
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MANIFEST_FILENAME,
+  isLegacyFilename,
+  createManifest,
+  updateManifest,
+  migrateSequence,
+  migrateStorage
+}
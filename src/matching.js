@@ -0,0 +1,218 @@
+// src/matching.js - Request matching helpers used during replay
+const { URLSearchParams } = require('url')
+const { decodeBody } = require('./encoding')
+
+// Returns the query string of a URL with its parameters sorted, so that
+// `?a=1&b=2` and `?b=2&a=1` compare as equal.
+function normalizeQuery (url = '') {
+  const queryIndex = url.indexOf('?')
+  if (queryIndex === -1) return ''
+  const params = new URLSearchParams(url.slice(queryIndex + 1))
+  params.sort()
+  return params.toString()
+}
+
+// Stable JSON serialization (object keys sorted) for order-insensitive comparison
+function canonicalJson (value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort()
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+// Normalizes a body buffer for comparison: JSON bodies are compared structurally,
+// everything else byte-for-byte. Missing and empty bodies are equivalent.
+function normalizeBody (buffer) {
+  if (!buffer || buffer.length === 0) return ''
+  try {
+    return `json:${canonicalJson(JSON.parse(buffer.toString('utf8')))}`
+  } catch (err) {
+    return `raw:${buffer.toString('base64')}`
+  }
+}
+
+// Compressed request bodies are compared decompressed, since compressors may
+// produce different bytes for the same content
+function decodedBody (buffer, headers) {
+  if (!buffer) return null
+  try {
+    return decodeBody(buffer, headers || {})
+  } catch (err) {
+    return buffer
+  }
+}
+
+function incomingBodyBuffer (req) {
+  return Buffer.isBuffer(req.body) ? decodedBody(req.body, req.headers) : null
+}
+
+function recordedBodyBuffer (recordedRequest) {
+  return typeof recordedRequest.body === 'string'
+    ? decodedBody(Buffer.from(recordedRequest.body, 'base64'), recordedRequest.headers)
+    : null
+}
+
+// Scores how well a recorded request matches an incoming one.
+// -1 means the method differs (never a candidate); otherwise one point each
+// for a matching query string and a matching body. Recordings without an
+// `originalUrl` (older hand-written fixtures) match any query.
+function scoreInteraction (req, recordedRequest = {}) {
+  if (recordedRequest.method && recordedRequest.method.toUpperCase() !== req.method.toUpperCase()) {
+    return -1
+  }
+  let score = 0
+  if (recordedRequest.originalUrl === undefined ||
+      normalizeQuery(recordedRequest.originalUrl) === normalizeQuery(req.originalUrl)) {
+    score++
+  }
+  if (normalizeBody(recordedBodyBuffer(recordedRequest)) === normalizeBody(incomingBodyBuffer(req))) {
+    score++
+  }
+  return score
+}
+
+const MAX_SCORE = 2
+
+// Whether a recorded request matches an incoming one on method, query and body
+function isExactMatch (req, recordedRequest) {
+  return scoreInteraction(req, recordedRequest) === MAX_SCORE
+}
+
+// Scores a recorded request with a user supplied `match(incomingReq, recordedRequest)`.
+// `true`/`false` accept or reject the candidate; a number is used as the score
+// directly (negative rejects), so matchers can rank candidates themselves.
+function scoreWithMatcher (match, req, recordedRequest = {}) {
+  const result = match(req, recordedRequest)
+  if (typeof result === 'number') return result
+  return result ? 1 : -1
+}
+
+// Picks the index of the best matching, not yet consumed interaction.
+// Ties go to the earliest recording (FIFO). Returns -1 if nothing matches.
+// With `requireExact`, partial built-in matches (e.g. same method, other body)
+// are not candidates; a custom matcher's accepted candidates always qualify.
+function findBestInteraction (req, recordings, consumedIndices = [], { match = null, requireExact = false } = {}) {
+  const minScore = requireExact && !match ? MAX_SCORE : 0
+  let bestIndex = -1
+  let bestScore = -1
+  recordings.forEach((interaction, index) => {
+    if (consumedIndices.includes(index)) return
+    const score = match
+      ? scoreWithMatcher(match, req, interaction.request)
+      : scoreInteraction(req, interaction.request)
+    if (score >= minScore && score > bestScore) {
+      bestScore = score
+      bestIndex = index
+    }
+  })
+  return bestIndex
+}
+
+// --- Mismatch Diagnostics ---
+
+// Headers that differ on every run and would only add noise to a diff
+const DIFF_IGNORED_HEADERS = ['host', 'connection', 'content-length']
+const MAX_BODY_DIFF_ENTRIES = 20
+const MAX_BODY_PREVIEW_LENGTH = 500
+
+// Ranks any recorded request (from any file of the sequence) by similarity to
+// the incoming one, for "closest candidates" in replay error reports.
+function similarityScore (req, recordedRequest = {}) {
+  let score = 0
+  if (recordedRequest.path === req.path) score += 4
+  if ((recordedRequest.method || '').toUpperCase() === req.method.toUpperCase()) score += 2
+  if (normalizeQuery(recordedRequest.originalUrl) === normalizeQuery(req.originalUrl)) score += 1
+  if (normalizeBody(recordedBodyBuffer(recordedRequest)) === normalizeBody(incomingBodyBuffer(req))) score += 1
+  return score
+}
+
+function diffHeaders (incomingHeaders = {}, recordedHeaders = {}) {
+  const lower = headers => Object.fromEntries(
+    Object.entries(headers)
+      .map(([key, value]) => [key.toLowerCase(), value])
+      .filter(([key]) => !DIFF_IGNORED_HEADERS.includes(key))
+  )
+  const incoming = lower(incomingHeaders)
+  const recorded = lower(recordedHeaders)
+  const diff = { added: {}, removed: {}, changed: {} }
+  for (const key of Object.keys(incoming)) {
+    if (!(key in recorded)) {
+      diff.added[key] = incoming[key]
+    } else if (recorded[key] !== '[REDACTED]' && String(recorded[key]) !== String(incoming[key])) {
+      diff.changed[key] = { recorded: recorded[key], incoming: incoming[key] }
+    }
+  }
+  for (const key of Object.keys(recorded)) {
+    if (!(key in incoming)) diff.removed[key] = recorded[key]
+  }
+  return diff
+}
+
+function diffJson (recorded, incoming, pathPrefix, entries) {
+  if (entries.length >= MAX_BODY_DIFF_ENTRIES) return
+  const bothObjects = recorded && incoming && typeof recorded === 'object' && typeof incoming === 'object' &&
+    Array.isArray(recorded) === Array.isArray(incoming)
+  if (!bothObjects) {
+    if (canonicalJson(recorded) !== canonicalJson(incoming)) {
+      entries.push({ path: pathPrefix || '$', recorded, incoming })
+    }
+    return
+  }
+  const keys = new Set([...Object.keys(recorded), ...Object.keys(incoming)])
+  for (const key of keys) {
+    const childPath = Array.isArray(recorded) ? `${pathPrefix || '$'}[${key}]` : `${pathPrefix || '$'}.${key}`
+    diffJson(recorded[key], incoming[key], childPath, entries)
+  }
+}
+
+function previewBody (buffer) {
+  if (!buffer || buffer.length === 0) return null
+  const text = buffer.toString('utf8')
+  return text.length > MAX_BODY_PREVIEW_LENGTH ? `${text.slice(0, MAX_BODY_PREVIEW_LENGTH)}...` : text
+}
+
+function diffBodies (incomingBuffer, recordedBuffer) {
+  if (normalizeBody(incomingBuffer) === normalizeBody(recordedBuffer)) return null
+  try {
+    const incoming = JSON.parse(incomingBuffer.toString('utf8'))
+    const recorded = JSON.parse(recordedBuffer.toString('utf8'))
+    const entries = []
+    diffJson(recorded, incoming, '', entries)
+    return { type: 'json', differences: entries }
+  } catch (err) {
+    return { type: 'text', recorded: previewBody(recordedBuffer), incoming: previewBody(incomingBuffer) }
+  }
+}
+
+// Describes how an incoming request differs from a recorded one
+function diffRequests (req, recordedRequest = {}) {
+  const diff = {}
+  if ((recordedRequest.method || '').toUpperCase() !== req.method.toUpperCase()) {
+    diff.method = { recorded: recordedRequest.method, incoming: req.method }
+  }
+  if (recordedRequest.path !== undefined && recordedRequest.path !== req.path) {
+    diff.path = { recorded: recordedRequest.path, incoming: req.path }
+  }
+  const recordedQuery = normalizeQuery(recordedRequest.originalUrl)
+  const incomingQuery = normalizeQuery(req.originalUrl)
+  if (recordedRequest.originalUrl !== undefined && recordedQuery !== incomingQuery) {
+    diff.query = { recorded: recordedQuery, incoming: incomingQuery }
+  }
+  diff.headers = diffHeaders(req.headers, recordedRequest.headers)
+  diff.body = diffBodies(incomingBodyBuffer(req), recordedBodyBuffer(recordedRequest))
+  return diff
+}
+
+module.exports = {
+  isExactMatch,
+  normalizeQuery,
+  normalizeBody,
+  scoreInteraction,
+  findBestInteraction,
+  similarityScore,
+  diffRequests
+}
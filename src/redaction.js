@@ -0,0 +1,136 @@
+// src/redaction.js - Redaction of secrets inside recorded bodies and URLs
+const debug = require('debug')
+const { decodeBody, encodeBody } = require('./encoding')
+
+const logWarn = debug('echoproxia:warn')
+
+const REDACTED = '[REDACTED]'
+
+// Decodes a body (per its content-encoding header) to UTF-8 text. Returns
+// { text, encode(text) } where `encode` turns new text back into a body with the
+// same encoding, or null for empty, binary or undecodable bodies.
+function decodeTextBody (buffer, headers = {}, where = 'body') {
+  if (!buffer || buffer.length === 0) return null
+  let decoded
+  try {
+    decoded = decodeBody(buffer, headers)
+  } catch (err) {
+    logWarn(`Body redaction skipped for ${where}: ${err.message}`)
+    return null
+  }
+  const text = decoded.toString('utf8')
+  if (!Buffer.from(text, 'utf8').equals(decoded)) return null // Binary body
+  return {
+    text,
+    encode: newText => encodeBody(Buffer.from(newText, 'utf8'), headers)
+  }
+}
+
+// Trims or extends recorded chunk sizes to add up to `totalSize` (after redaction
+// changed the body length), keeping the recorded arrival times
+function fitChunkTimings (chunkTimings, totalSize) {
+  let remaining = totalSize
+  return chunkTimings
+    .map(({ size, time }, index) => {
+      const fittedSize = index === chunkTimings.length - 1 ? remaining : Math.min(size, remaining)
+      remaining -= fittedSize
+      return { size: fittedSize, time }
+    })
+    .filter(({ size }) => size > 0)
+}
+
+// Splits a JSON path such as `$.user.email`, `token` or `$.items[*].secret`
+// into segments; `*` matches every key or array element.
+function parseJsonPath (jsonPath) {
+  const segments = []
+  const pattern = /\[(\d+|\*|'[^']*'|"[^"]*")\]|([^.[\]]+)/g
+  let match
+  while ((match = pattern.exec(jsonPath.replace(/^\$\.?/, ''))) !== null) {
+    const segment = match[1] !== undefined ? match[1].replace(/^['"]|['"]$/g, '') : match[2]
+    segments.push(segment)
+  }
+  return segments
+}
+
+// Replaces the values at `segments` with REDACTED in place; returns whether anything was replaced
+function redactJsonPath (value, segments) {
+  if (!value || typeof value !== 'object' || segments.length === 0) return false
+  const [segment, ...rest] = segments
+  const keys = segment === '*' ? Object.keys(value) : [segment]
+  let replaced = false
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(value, key)) continue
+    if (rest.length === 0) {
+      value[key] = REDACTED
+      replaced = true
+    } else if (redactJsonPath(value[key], rest)) {
+      replaced = true
+    }
+  }
+  return replaced
+}
+
+function redactText (text, rules, context) {
+  const jsonPaths = rules.filter(rule => typeof rule === 'string')
+  if (jsonPaths.length > 0) {
+    try {
+      const parsed = JSON.parse(text)
+      const replaced = jsonPaths
+        .map(jsonPath => redactJsonPath(parsed, parseJsonPath(jsonPath)))
+        .some(Boolean)
+      if (replaced) text = JSON.stringify(parsed)
+    } catch (err) { /* Not JSON; JSON paths don't apply */ }
+  }
+  for (const rule of rules) {
+    if (rule instanceof RegExp) {
+      const global = rule.global ? rule : new RegExp(rule.source, `${rule.flags}g`)
+      text = text.replace(global, REDACTED)
+    } else if (typeof rule === 'function') {
+      const result = rule(text, context)
+      if (typeof result === 'string') text = result
+    }
+  }
+  return text
+}
+
+// Builds the body redactor for the `redactBody` option: JSON paths (strings),
+// RegExps and functions `(text, { type, path, headers }) => text`, alone or in an
+// array. Returns null when there is nothing to redact.
+//
+// The redactor takes a body buffer as sent on the wire and returns the buffer to
+// record. Compressed bodies are decoded, redacted and encoded again; bodies that
+// aren't valid UTF-8 text are left as they are.
+function createBodyRedactor (redactBody) {
+  if (!redactBody) return null
+  const rules = Array.isArray(redactBody) ? redactBody : [redactBody]
+  const invalid = rules.find(rule => typeof rule !== 'string' && typeof rule !== 'function' && !(rule instanceof RegExp))
+  if (invalid !== undefined) {
+    throw new Error(`Echoproxia: redactBody entries must be JSON paths, RegExps or functions (got ${String(invalid)})`)
+  }
+  if (rules.length === 0) return null
+
+  return function redact (buffer, context = {}) {
+    const body = decodeTextBody(buffer, context.headers, context.path)
+    if (!body) return buffer
+    const redactedText = redactText(body.text, rules, context)
+    return redactedText === body.text ? buffer : body.encode(redactedText)
+  }
+}
+
+// Masks the values of the named query parameters (compared case-insensitively)
+// in a URL, leaving the rest of it untouched
+function redactQueryParams (url, paramNames) {
+  const queryIndex = typeof url === 'string' ? url.indexOf('?') : -1
+  if (queryIndex === -1 || paramNames.length === 0) return url
+  const query = url.slice(queryIndex + 1).split('&').map(pair => {
+    const [rawName] = pair.split('=')
+    let name = rawName
+    try {
+      name = decodeURIComponent(rawName.replace(/\+/g, ' '))
+    } catch (err) { /* Malformed escape; compare the raw name */ }
+    return paramNames.includes(name.toLowerCase()) ? `${rawName}=${REDACTED}` : pair
+  })
+  return `${url.slice(0, queryIndex)}?${query.join('&')}`
+}
+
+module.exports = { REDACTED, decodeTextBody, fitChunkTimings, createBodyRedactor, redactQueryParams }
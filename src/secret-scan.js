@@ -0,0 +1,102 @@
+// src/secret-scan.js - Guard that keeps secrets out of recordings written to disk
+const { REDACTED, decodeTextBody, fitChunkTimings } = require('./redaction')
+
+// Patterns for common credentials, by name. Names show up in findings instead
+// of the secrets themselves, so reports are safe to log.
+const BUILTIN_SECRET_PATTERNS = {
+  'bearer-token': /\bBearer\s+[A-Za-z0-9\-._~+/]{8,}=*/gi,
+  'sk-key': /\bsk-[A-Za-z0-9_-]{16,}/g,
+  'aws-access-key-id': /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  'github-token': /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+  'private-key': /-----BEGIN [A-Z ]*PRIVATE KEY-----/g
+}
+
+const SECRET_SCAN_ACTIONS = ['redact', 'fail', 'reject']
+
+// Calls `visit(location, text, replace)` for every text field of an interaction
+// that ends up on disk: URLs, header values, bodies (decoded, also from gzip etc.),
+// plain-text bodies and text WebSocket frames. `replace(text)` writes a new value
+// back in the field's own representation.
+function eachTextField (interaction, visit) {
+  for (const side of ['request', 'response']) {
+    const message = interaction[side]
+    if (!message) continue
+    for (const key of ['path', 'originalUrl', 'bodyPlainText']) {
+      if (typeof message[key] === 'string') {
+        visit(`${side}.${key}`, message[key], text => { message[key] = text })
+      }
+    }
+    const headers = message.headers || {}
+    for (const [name, value] of Object.entries(headers)) {
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => visit(`${side}.headers.${name}`, String(item), text => { value[index] = text }))
+      } else if (value !== undefined && value !== null) {
+        visit(`${side}.headers.${name}`, String(value), text => { headers[name] = text })
+      }
+    }
+    if (typeof message.body === 'string') {
+      const body = decodeTextBody(Buffer.from(message.body, 'base64'), headers, `${side}.body`)
+      if (body) {
+        visit(`${side}.body`, body.text, text => {
+          const encoded = body.encode(text)
+          message.body = encoded.toString('base64')
+          if (Array.isArray(message.chunkTimings)) message.chunkTimings = fitChunkTimings(message.chunkTimings, encoded.length)
+        })
+      }
+    }
+  }
+  for (const [index, frame] of (interaction.frames || []).entries()) {
+    if (frame.binary || typeof frame.data !== 'string') continue
+    visit(`frames[${index}].data`, Buffer.from(frame.data, 'base64').toString('utf8'), text => {
+      frame.data = Buffer.from(text, 'utf8').toString('base64')
+    })
+  }
+}
+
+// Builds the guard for the `secretScan` option: `true` or
+// { action: 'redact' | 'fail' | 'reject', patterns: { name: RegExp } | RegExp[], builtins: boolean }.
+// Returns null when scanning is off.
+function createSecretScanner (secretScan) {
+  if (!secretScan) return null
+  const { action = 'fail', patterns = {}, builtins = true } = secretScan === true ? {} : secretScan
+  if (!SECRET_SCAN_ACTIONS.includes(action)) {
+    throw new Error(`Echoproxia: secretScan.action must be one of ${SECRET_SCAN_ACTIONS.join(', ')} (got ${action})`)
+  }
+  const customPatterns = Array.isArray(patterns)
+    ? Object.fromEntries(patterns.map((pattern, index) => [`custom-${index + 1}`, pattern]))
+    : patterns
+  const namedPatterns = Object.entries({ ...(builtins ? BUILTIN_SECRET_PATTERNS : {}), ...customPatterns })
+    .map(([name, pattern]) => [name, pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`)])
+
+  // Returns [{ interaction, location, pattern }] for every secret found in the interactions.
+  // With `redact`, the secrets are also replaced with [REDACTED] in place.
+  function scan (interactions, { redact = false } = {}) {
+    const findings = []
+    interactions.forEach((interaction, index) => {
+      eachTextField(interaction, (location, text, replace) => {
+        let redacted = text
+        for (const [name, pattern] of namedPatterns) {
+          pattern.lastIndex = 0
+          if (!pattern.test(redacted)) continue
+          findings.push({ interaction: index, location, pattern: name })
+          if (redact) redacted = redacted.replace(pattern, REDACTED)
+        }
+        if (redact && redacted !== text) replace(redacted)
+      })
+    })
+    return findings
+  }
+
+  return { action, scan }
+}
+
+// Error for recordings that were not written (or requests that were refused) because of secrets
+function createSecretLeakError (target, findings) {
+  const summary = findings.map(({ interaction, location, pattern }) => `  - interaction ${interaction}: ${location} (${pattern})`).join('\n')
+  const error = new Error(`Echoproxia: refusing to record secrets in ${target}:\n${summary}\nRedact them with redactHeaders, redactQueryParams or redactBody, or set secretScan.action to 'redact'.`)
+  error.code = 'ECHOPROXIA_SECRET_LEAK'
+  error.findings = findings
+  return error
+}
+
+module.exports = { BUILTIN_SECRET_PATTERNS, createSecretScanner, createSecretLeakError }
@@ -0,0 +1,270 @@
+// src/storage.js - Where recordings are kept (the filesystem by default)
+const path = require('path')
+const fs = require('fs').promises
+
+const CASSETTE_EXTENSION = '.cassette.json'
+// Body files (see body-files.js) live here in the sequence directory; a dot can't
+// start a host or route subdirectory
+const BODY_FILES_DIR = '.bodies'
+
+// A storage adapter keeps the recording files of each sequence. Files are named
+// by their path relative to the sequence directory (e.g. `_get.echo.json` or
+// `api.example.com/_users.echo.json`); `null` names the sequence's cassette.
+// Files hold JSON: arrays of interactions in their stored form (see body-format.js),
+// or the sequence's manifest object (see manifest.js).
+//
+// - listSequences(): names of the sequences with recordings
+// - listFiles(sequenceName): files of a sequence, the cassette excluded
+// - read(sequenceName, filename): the file's interactions, or null if there is none
+// - write(sequenceName, filename, interactions): replaces the file's interactions
+// - append(sequenceName, filename, interactions): optional; adds interactions to the
+//   end of a file the proxy wrote before. Without it, files are rewritten with write().
+//   The file storage overwrites the end of the JSON array in place.
+// - remove(sequenceName, filename): deletes a file (missing files are fine)
+// - clearSequence(sequenceName): deletes every file of a sequence, cassette and body files included
+// - readBody(sequenceName, hash): the bytes of a body file as a Buffer, or null if there is none
+// - writeBody(sequenceName, hash, buffer): stores a body file (a no-op if it exists, since
+//   hashes name their content)
+// All methods return promises. read() rejects for unreadable files. readBody() and
+// writeBody() are only needed with bodyFileThreshold.
+
+// Sequence names become directory and file names below `recordingsDir`. Nested
+// names (`suite/test-1`) are fine, but a name must stay below it: nothing absolute
+// and no `..` segment leading out. Throws for other names.
+function validateSequenceName (sequenceName) {
+  const root = path.resolve(path.sep, 'recordings')
+  const relative = typeof sequenceName === 'string' && !sequenceName.includes('\0') && !path.isAbsolute(sequenceName)
+    ? path.relative(root, path.resolve(root, sequenceName))
+    : ''
+  if (relative === '' || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`Echoproxia: invalid sequence name ${JSON.stringify(sequenceName)} (it must stay inside recordingsDir)`)
+  }
+  return sequenceName
+}
+
+// Lists files below a directory as paths relative to it (recordings of
+// forward-proxied hosts live in per-host subdirectories)
+async function listFilesRecursive (dirPath, relativeDir = '') {
+  let entries = []
+  try {
+    entries = await fs.readdir(path.join(dirPath, relativeDir), { withFileTypes: true })
+  } catch (err) {
+    if (err.code === 'ENOENT') return []
+    throw err
+  }
+  const files = []
+  for (const entry of entries) {
+    const relativePath = path.join(relativeDir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...await listFilesRecursive(dirPath, relativePath))
+    } else {
+      files.push(relativePath)
+    }
+  }
+  return files
+}
+
+// The default: a directory per sequence below `recordingsDir`, with the cassette
+// next to it as `<sequence>.cassette.json`. Files are single JSON arrays, indented as
+// JSON.stringify(interactions, null, 2) does; append() relies on that.
+function createFileStorage (recordingsDir) {
+  let tempCounter = 0
+  const ARRAY_END = '\n]' // How a non-empty array written by writeJson() ends
+
+  function sequenceDirFor (sequenceName) {
+    return path.join(recordingsDir, validateSequenceName(sequenceName))
+  }
+
+  function filePathFor (sequenceName, filename) {
+    return filename === null
+      ? path.join(recordingsDir, `${validateSequenceName(sequenceName)}${CASSETTE_EXTENSION}`)
+      : path.join(sequenceDirFor(sequenceName), filename)
+  }
+
+  async function readJson (filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+  }
+
+  // Writes to a temporary file first and renames it into place, so a crash
+  // mid-write leaves the previous file rather than truncated JSON
+  async function writeJson (filePath, value) {
+    const tempPath = `${filePath}.${process.pid}-${++tempCounter}.tmp`
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(value, null, 2))
+      await fs.rename(tempPath, filePath)
+    } catch (err) {
+      await fs.rm(tempPath, { force: true })
+      throw err
+    }
+  }
+
+  // The elements of a JSON array as JSON.stringify(array, null, 2) writes them
+  function arrayElements (interactions) {
+    return interactions.map(interaction => JSON.stringify(interaction, null, 2).replace(/^/gm, '  ')).join(',\n')
+  }
+
+  return {
+    async listSequences () {
+      let entries = []
+      try {
+        entries = await fs.readdir(recordingsDir, { withFileTypes: true })
+      } catch (err) {
+        if (err.code === 'ENOENT') return []
+        throw err
+      }
+      const names = entries
+        .filter(entry => entry.isDirectory() || entry.name.endsWith(CASSETTE_EXTENSION))
+        .map(entry => entry.isDirectory() ? entry.name : entry.name.slice(0, -CASSETTE_EXTENSION.length))
+      return [...new Set(names)].sort()
+    },
+
+    async listFiles (sequenceName) {
+      const files = await listFilesRecursive(sequenceDirFor(sequenceName))
+      return files.filter(filename => !filename.startsWith(BODY_FILES_DIR + path.sep))
+    },
+
+    async read (sequenceName, filename) {
+      return readJson(filePathFor(sequenceName, filename))
+    },
+
+    async write (sequenceName, filename, interactions) {
+      await writeJson(filePathFor(sequenceName, filename), interactions)
+    },
+
+    // Overwrites the closing `]` of the array with the new elements, so only they are
+    // written and the file ends up as write() would have left it. Unlike write(), a
+    // crash mid-append can leave the file unreadable. Files that don't end like
+    // writeJson() leaves them (empty arrays, edited files) are rewritten whole.
+    async append (sequenceName, filename, interactions) {
+      const filePath = filePathFor(sequenceName, filename)
+      let handle = null
+      try {
+        handle = await fs.open(filePath, 'r+')
+        const { size } = await handle.stat()
+        const end = Buffer.alloc(ARRAY_END.length)
+        if (size > ARRAY_END.length) await handle.read(end, 0, end.length, size - end.length)
+        if (end.toString('utf8') === ARRAY_END) {
+          await handle.write(`,\n${arrayElements(interactions)}${ARRAY_END}`, size - end.length, 'utf8')
+          return
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err
+      } finally {
+        if (handle) await handle.close()
+      }
+      const stored = await readJson(filePath)
+      await writeJson(filePath, [...(Array.isArray(stored) ? stored : []), ...interactions])
+    },
+
+    async remove (sequenceName, filename) {
+      await fs.rm(filePathFor(sequenceName, filename), { force: true })
+    },
+
+    async clearSequence (sequenceName) {
+      await fs.rm(sequenceDirFor(sequenceName), { recursive: true, force: true })
+      await fs.rm(filePathFor(sequenceName, null), { force: true })
+    },
+
+    async readBody (sequenceName, hash) {
+      try {
+        return await fs.readFile(path.join(sequenceDirFor(sequenceName), BODY_FILES_DIR, hash))
+      } catch (err) {
+        if (err.code === 'ENOENT') return null
+        throw err
+      }
+    },
+
+    async writeBody (sequenceName, hash, buffer) {
+      const filePath = path.join(sequenceDirFor(sequenceName), BODY_FILES_DIR, hash)
+      try {
+        await fs.access(filePath)
+        return
+      } catch (err) { /* Not written yet */ }
+      const tempPath = `${filePath}.${process.pid}-${++tempCounter}.tmp`
+      await fs.mkdir(path.dirname(filePath), { recursive: true })
+      try {
+        await fs.writeFile(tempPath, buffer)
+        await fs.rename(tempPath, filePath)
+      } catch (err) {
+        await fs.rm(tempPath, { force: true })
+        throw err
+      }
+    }
+  }
+}
+
+// Keeps recordings in process memory, e.g. for unit tests that shouldn't touch
+// the disk. `sequences` ({ sequenceName: { filename: interactions } }) preloads
+// recordings. Interactions are copied in and out as if they were serialized.
+function createMemoryStorage (sequences = {}) {
+  const CASSETTE = Symbol('cassette')
+  const copy = value => JSON.parse(JSON.stringify(value))
+  const store = new Map()
+  const bodies = new Map() // sequenceName -> Map(hash -> Buffer)
+  const keyFor = filename => filename === null ? CASSETTE : path.normalize(filename)
+
+  function filesOf (sequenceName, create = false) {
+    if (!store.has(sequenceName) && create) store.set(sequenceName, new Map())
+    return store.get(sequenceName) || new Map()
+  }
+
+  for (const [sequenceName, files] of Object.entries(sequences)) {
+    for (const [filename, interactions] of Object.entries(files)) {
+      filesOf(sequenceName, true).set(path.normalize(filename), copy(interactions))
+    }
+  }
+
+  return {
+    async listSequences () {
+      return [...store.keys()].filter(sequenceName => filesOf(sequenceName).size > 0).sort()
+    },
+
+    async listFiles (sequenceName) {
+      return [...filesOf(sequenceName).keys()].filter(key => key !== CASSETTE)
+    },
+
+    async read (sequenceName, filename) {
+      const files = filesOf(sequenceName)
+      const key = keyFor(filename)
+      return files.has(key) ? copy(files.get(key)) : null
+    },
+
+    async write (sequenceName, filename, interactions) {
+      filesOf(sequenceName, true).set(keyFor(filename), copy(interactions))
+    },
+
+    async append (sequenceName, filename, interactions) {
+      const files = filesOf(sequenceName, true)
+      const key = keyFor(filename)
+      if (!files.has(key)) files.set(key, [])
+      files.get(key).push(...copy(interactions))
+    },
+
+    async remove (sequenceName, filename) {
+      filesOf(sequenceName).delete(keyFor(filename))
+    },
+
+    async clearSequence (sequenceName) {
+      store.delete(sequenceName)
+      bodies.delete(sequenceName)
+    },
+
+    async readBody (sequenceName, hash) {
+      const buffer = bodies.has(sequenceName) && bodies.get(sequenceName).get(hash)
+      return buffer ? Buffer.from(buffer) : null
+    },
+
+    async writeBody (sequenceName, hash, buffer) {
+      if (!bodies.has(sequenceName)) bodies.set(sequenceName, new Map())
+      if (!bodies.get(sequenceName).has(hash)) bodies.get(sequenceName).set(hash, Buffer.from(buffer))
+    }
+  }
+}
+
+module.exports = { CASSETTE_EXTENSION, validateSequenceName, createFileStorage, createMemoryStorage }
@@ -0,0 +1,202 @@
+// src/websocket.js - WebSocket record and replay for the proxy server's `upgrade` event
+const http = require('http')
+const WebSocket = require('ws')
+const debug = require('debug')
+
+const logInfo = debug('echoproxia:info')
+const logWarn = debug('echoproxia:warn')
+const logError = debug('echoproxia:error')
+
+// Handshake headers that `ws` generates itself for the upstream connection
+const HANDSHAKE_HEADERS = [
+  'host',
+  'connection',
+  'upgrade',
+  'sec-websocket-key',
+  'sec-websocket-version',
+  'sec-websocket-extensions',
+  'sec-websocket-protocol'
+]
+
+// Close codes that may not be sent in a close frame
+const RESERVED_CLOSE_CODES = [1004, 1005, 1006, 1015]
+
+function toWebSocketUrl (targetUrl, requestUrl) {
+  return `${targetUrl.replace(/\/$/, '').replace(/^http/, 'ws')}${requestUrl}`
+}
+
+function parseProtocols (header) {
+  return header ? header.split(',').map(protocol => protocol.trim()).filter(Boolean) : []
+}
+
+function rejectUpgrade (socket, status, message) {
+  if (socket.destroyed) return
+  socket.write(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+    'Content-Type: text/plain\r\n' +
+    `Content-Length: ${Buffer.byteLength(message)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    message
+  )
+  socket.destroy()
+}
+
+function closeSocket (ws, code, reason) {
+  if (ws.readyState !== WebSocket.OPEN && ws.readyState !== WebSocket.CONNECTING) return
+  if (code && !RESERVED_CLOSE_CODES.includes(code)) {
+    ws.close(code, reason)
+  } else {
+    ws.close()
+  }
+}
+
+// Creates the `upgrade` listener. The context supplies proxy state:
+// - getMode(): effective record mode of the active sequence (true, false or 'missing')
+// - resolveUpstream(req): { target, rewritePath } upstream base URL and optional path rewrite (may rewrite req.url)
+// - takeSession(req, { requireExact }): consumes and returns a recorded session, or null
+// - createRecorder(req): returns save({ protocol, frames, close }) for a new session
+// - isControlPath(req): whether the request is for the control API (never proxied)
+function createWebSocketHandler (context) {
+  // Subprotocol agreed with the upstream (record) or recorded (replay), per upgrade request
+  const selectedProtocols = new WeakMap()
+  const wss = new WebSocket.Server({
+    noServer: true,
+    handleProtocols: (protocols, req) => {
+      const protocol = selectedProtocols.get(req)
+      return protocol && protocols.has(protocol) ? protocol : false
+    }
+  })
+
+  function record (req, socket, head, { target, rewritePath }) {
+    const save = context.createRecorder(req)
+    const upstreamUrl = toWebSocketUrl(target, rewritePath ? rewritePath(req.url) : req.url)
+    const headers = {}
+    for (const [key, value] of Object.entries(req.headers)) {
+      if (!HANDSHAKE_HEADERS.includes(key.toLowerCase())) headers[key] = value
+    }
+    logInfo(`WebSocket record: connecting to ${upstreamUrl}`)
+    const upstream = new WebSocket(upstreamUrl, parseProtocols(req.headers['sec-websocket-protocol']), { headers })
+
+    upstream.once('unexpected-response', (upstreamReq, upstreamRes) => {
+      logWarn(`WebSocket record: upstream refused upgrade for ${req.url} with ${upstreamRes.statusCode}`)
+      rejectUpgrade(socket, upstreamRes.statusCode, `Upstream refused WebSocket upgrade (${upstreamRes.statusCode})`)
+      upstreamReq.destroy()
+    })
+    let opened = false
+    upstream.on('error', err => {
+      logError(`WebSocket upstream error for ${req.url}: ${err.message}`)
+      // Once the client is upgraded, the close handlers below take care of it
+      if (!opened) rejectUpgrade(socket, 502, `Proxy error: ${err.message}`)
+    })
+
+    upstream.once('open', () => {
+      opened = true
+      selectedProtocols.set(req, upstream.protocol)
+      wss.handleUpgrade(req, socket, head, client => {
+        const start = Date.now()
+        const frames = []
+        let saved = false
+        const recordFrame = (direction, data, isBinary) => {
+          frames.push({
+            direction,
+            binary: isBinary,
+            data: Buffer.from(data).toString('base64'),
+            time: Date.now() - start
+          })
+        }
+        // The first side to close ends the session
+        const finish = (initiator, code, reason) => {
+          if (saved) return
+          saved = true
+          save({ protocol: upstream.protocol || null, frames, close: { initiator, code, reason: reason.toString() } })
+        }
+
+        client.on('message', (data, isBinary) => {
+          recordFrame('client', data, isBinary)
+          if (upstream.readyState === WebSocket.OPEN) upstream.send(data, { binary: isBinary })
+        })
+        upstream.on('message', (data, isBinary) => {
+          recordFrame('server', data, isBinary)
+          if (client.readyState === WebSocket.OPEN) client.send(data, { binary: isBinary })
+        })
+        client.on('close', (code, reason) => {
+          finish('client', code, reason)
+          closeSocket(upstream, code, reason)
+        })
+        upstream.on('close', (code, reason) => {
+          finish('server', code, reason)
+          closeSocket(client, code, reason)
+        })
+      })
+    })
+  }
+
+  function replay (req, socket, head, session) {
+    selectedProtocols.set(req, session.response && session.response.protocol)
+    wss.handleUpgrade(req, socket, head, client => {
+      const frames = session.frames || []
+      let position = 0
+      // Sends every server frame up to the next recorded client frame
+      const sendServerFrames = () => {
+        while (position < frames.length && frames[position].direction === 'server') {
+          const frame = frames[position++]
+          client.send(Buffer.from(frame.data, 'base64'), { binary: frame.binary })
+        }
+        if (position >= frames.length && session.close && session.close.initiator === 'server') {
+          closeSocket(client, session.close.code, session.close.reason)
+        }
+      }
+
+      client.on('message', () => {
+        // Each client frame releases the server frames that followed it in the recording
+        if (position < frames.length && frames[position].direction === 'client') position++
+        sendServerFrames()
+      })
+      sendServerFrames()
+    })
+  }
+
+  async function handleUpgrade (req, socket, head) {
+    const upstream = context.resolveUpstream(req)
+    // Give upgrade requests the Express-style fields used for matching and recording
+    const url = new URL(req.url, 'http://localhost')
+    req.path = url.pathname
+    req.originalUrl = req.url
+    req.body = null
+    if (context.isControlPath(req)) {
+      socket.destroy()
+      return
+    }
+
+    const mode = context.getMode()
+    try {
+      if (mode !== true) {
+        const session = await context.takeSession(req, { requireExact: mode !== false })
+        if (session) {
+          replay(req, socket, head, session)
+          return
+        }
+        if (mode === false) {
+          logWarn(`WebSocket replay: no recorded session for ${req.url}`)
+          rejectUpgrade(socket, 500, `Echoproxia Replay Error: No WebSocket recording found for ${req.url}.`)
+          return
+        }
+      }
+      record(req, socket, head, upstream)
+    } catch (err) {
+      logError(`WebSocket upgrade error for ${req.url}:`, err)
+      rejectUpgrade(socket, 500, `Echoproxia WebSocket Error: ${err.message}`)
+    }
+  }
+
+  function close () {
+    for (const client of wss.clients) {
+      client.terminate()
+    }
+    wss.close()
+  }
+
+  return { handleUpgrade, close }
+}
+
+module.exports = { createWebSocketHandler }
@@ -6,14 +6,20 @@ const axios = require('axios')
 const rimraf = require('rimraf') // For cleaning directories
 const express = require('express')
 const getPort = require('get-port')
-const { createProxy } = require('../src/index') // Import the actual module interface
+const WebSocket = require('ws')
+const zlib = require('zlib')
+const crypto = require('crypto')
+const { createProxy, createFileStorage, createMemoryStorage, migrateRecordings } = require('../src/index') // Import the actual module interface
 
 // --- Helper: Define sanitizeFilename locally in the test file --- START
 function sanitizeFilename (filePath) {
-  // Replace slashes and invalid chars; ensure it starts with '_'
-  const baseName = `_${filePath.replace(/^\//, '').replace(/[^a-zA-Z0-9_.-]/g, '_')}`;
-  // Append the specific extension
-  return `${baseName}.echo.json`;
+  const name = filePath.replace(/^\//, '')
+  // Plain, short paths keep a readable name; others get a hash of the exact path
+  if (/^[a-z0-9./-]*$/.test(name) && name.length <= 100 && !name.endsWith('.ws')) {
+    return `_${name.replace(/\//g, '_')}.echo.json`;
+  }
+  const hash = crypto.createHash('sha256').update(filePath).digest('hex').slice(0, 12)
+  return `_${name.replace(/[^a-zA-Z0-9_.-]/g, '_').slice(0, 100)}~${hash}.echo.json`;
 }
 // --- Helper: Define sanitizeFilename locally in the test file --- END
 
@@ -42,6 +48,7 @@ async function waitForFile (filePath, timeoutMs = 2000, intervalMs = 100) {
 
 // --- Mock Target Server Setup ---
 let mockTargetServer
+let mockWebSocketConnections = 0
 let lastMockRequest = null
 let mockTargetPort
 let MOCK_TARGET_URL
@@ -84,8 +91,53 @@ test.before(async t => {
       res.status(201).json({ message: 'mock no-plaintext-post success', received_body: req.body });
     });
     // >>> End added handlers <<<
+
+    // Responds only after a delay, for latency recording
+    mockApp.get('/slow', (req, res) => {
+      setTimeout(() => res.status(200).json({ message: 'mock slow success' }), 150)
+    })
+
+    // Server-sent events written in separate, spaced-out chunks
+    mockApp.get('/stream', async (req, res) => {
+      res.setHeader('Content-Type', 'text/event-stream')
+      res.flushHeaders()
+      for (const n of [1, 2, 3]) {
+        res.write(`data: ${n}\n\n`)
+        await new Promise(resolve => setTimeout(resolve, 60))
+      }
+      res.end()
+    })
     
+    // Gzipped JSON response carrying a secret, for body redaction
+    mockApp.get('/gzip-secret', (req, res) => {
+      res.setHeader('Content-Type', 'application/json')
+      res.setHeader('Content-Encoding', 'gzip')
+      res.status(200).send(zlib.gzipSync(JSON.stringify({ apiKey: 'sk-live-123456', ok: true })))
+    })
+
+    // Compressed at another level than zlib's default
+    mockApp.get('/gzip-fast', (req, res) => {
+      res.setHeader('Content-Type', 'application/json')
+      res.setHeader('Content-Encoding', 'gzip')
+      res.status(200).send(zlib.gzipSync(JSON.stringify({ level: 1 }), { level: 1 }))
+    })
+
+    // Brotli and chained (gzip, then br) encoded JSON responses
+    mockApp.get('/brotli', (req, res) => {
+      res.setHeader('Content-Type', 'application/json')
+      res.setHeader('Content-Encoding', 'br')
+      res.status(200).send(zlib.brotliCompressSync(JSON.stringify({ encoding: 'br' })))
+    })
+    mockApp.get('/chained', (req, res) => {
+      res.setHeader('Content-Type', 'application/json')
+      res.setHeader('Content-Encoding', 'gzip, br')
+      res.status(200).send(zlib.brotliCompressSync(zlib.gzipSync(JSON.stringify({ encoding: 'gzip, br' }))))
+    })
+
     // Catch-all for other paths
+    mockApp.get(['/v1/*', '/echoproxia/*'], (req, res) => {
+      res.status(200).json({ path: req.path })
+    })
     mockApp.all('*', (req, res) => {
       logWarn(`Mock server received unexpected request: ${req.method} ${req.originalUrl}`);
       res.status(404).send('Mock Not Found')
@@ -95,6 +147,14 @@ test.before(async t => {
       console.log(`Mock target server running on port ${mockTargetPort}`)
       resolve()
     })
+
+    // WebSocket echo endpoint: greets on connect and echoes every message
+    const mockWss = new WebSocket.Server({ server: mockTargetServer, path: '/ws' })
+    mockWss.on('connection', ws => {
+      mockWebSocketConnections++
+      ws.send('welcome')
+      ws.on('message', (data, isBinary) => ws.send(isBinary ? data : `echo:${data}`, { binary: isBinary }))
+    })
   })
 })
 
@@ -468,7 +528,7 @@ test.serial('Replay Mode: Backwards Compatibility', async t => {
   } catch (error) {
     t.is(lastMockRequest, null, 'Neither format: Mock target should not be hit')
     t.is(error.response?.status, 500, 'Neither format: Should fail with 500')
-    t.truthy(error.response?.data?.includes('No recording found'), 'Neither format: Error message should indicate not found')
+    t.truthy(error.response?.data?.error?.includes('No recording found'), 'Neither format: Error message should indicate not found')
   } finally {
     await proxyNeither.stop()
   }
@@ -872,4 +932,1506 @@ test.serial('Record Mode: should append multiple requests to the same path', asy
     t.log('Failed to read/parse/validate appended recording', e);
     t.fail(`Appended recording content validation failed: ${e.message}`);
   }
-}); 
\ No newline at end of file
+}); 
+// --- Tests for Request Matching ---
+
+test.serial('Replay Mode: should match interactions on method, query and body regardless of order', async t => {
+  const sequenceName = 'test-replay-matching'
+  const requestPath = '/items'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename(requestPath))
+  const makeInteraction = (method, originalUrl, requestBody, responseData) => ({
+    request: {
+      method,
+      path: requestPath,
+      originalUrl,
+      headers: {},
+      body: requestBody ? Buffer.from(JSON.stringify(requestBody)).toString('base64') : null
+    },
+    response: {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify(responseData)).toString('base64')
+    }
+  })
+  const recordingContent = [
+    makeInteraction('GET', '/items?page=1', null, { page: 1 }),
+    makeInteraction('GET', '/items?page=2', null, { page: 2 }),
+    makeInteraction('POST', '/items', { name: 'a', qty: 1 }, { created: 'a' }),
+    makeInteraction('POST', '/items', { name: 'b', qty: 2 }, { created: 'b' })
+  ]
+  await fs.mkdir(path.dirname(recordingFilePath), { recursive: true })
+  await fs.writeFile(recordingFilePath, JSON.stringify(recordingContent, null, 2))
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR
+  })
+  await t.context.proxy.setSequence(sequenceName)
+
+  // Requests arrive in a different order than they were recorded
+  const created = await axios.post(`${t.context.proxy.url}${requestPath}`, { qty: 2, name: 'b' })
+  t.deepEqual(created.data, { created: 'b' }, 'JSON body should match regardless of key order')
+  const page2 = await axios.get(`${t.context.proxy.url}${requestPath}?page=2`)
+  t.deepEqual(page2.data, { page: 2 })
+  const page1 = await axios.get(`${t.context.proxy.url}${requestPath}?page=1`)
+  t.deepEqual(page1.data, { page: 1 })
+  const createdA = await axios.post(`${t.context.proxy.url}${requestPath}`, { name: 'a', qty: 1 })
+  t.deepEqual(createdA.data, { created: 'a' })
+
+  const error = await t.throwsAsync(axios.get(`${t.context.proxy.url}${requestPath}?page=1`))
+  t.is(error.response.status, 500)
+  t.truthy(error.response.data.error.includes('Sequence exhausted'))
+})
+
+test.serial('Replay Mode: should fall back to FIFO among equally matching interactions', async t => {
+  const sequenceName = 'test-replay-matching-fifo'
+  const requestPath = '/items'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename(requestPath))
+  const recordingContent = [1, 2].map(n => ({
+    request: { method: 'GET', path: requestPath, originalUrl: requestPath, headers: {}, body: null },
+    response: {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify({ n })).toString('base64')
+    }
+  }))
+  await fs.mkdir(path.dirname(recordingFilePath), { recursive: true })
+  await fs.writeFile(recordingFilePath, JSON.stringify(recordingContent, null, 2))
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR
+  })
+  await t.context.proxy.setSequence(sequenceName)
+
+  // A POST never matches recorded GETs
+  const postError = await t.throwsAsync(axios.post(`${t.context.proxy.url}${requestPath}`, { any: 'body' }))
+  t.is(postError.response.status, 500)
+  t.truthy(postError.response.data.error.includes('No matching recording'))
+
+  t.deepEqual((await axios.get(`${t.context.proxy.url}${requestPath}`)).data, { n: 1 })
+  t.deepEqual((await axios.get(`${t.context.proxy.url}${requestPath}`)).data, { n: 2 })
+})
+
+test.serial('Replay Mode: custom match option on createProxy and setSequence', async t => {
+  const sequenceName = 'test-replay-custom-match'
+  const requestPath = '/chat'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename(requestPath))
+  const recordingContent = ['hello', 'goodbye'].map(content => ({
+    request: {
+      method: 'POST',
+      path: requestPath,
+      originalUrl: requestPath,
+      headers: {},
+      body: Buffer.from(JSON.stringify({ model: 'm1', messages: [content], nonce: `recorded-${content}` })).toString('base64')
+    },
+    response: {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify({ reply: content })).toString('base64')
+    }
+  }))
+  await fs.mkdir(path.dirname(recordingFilePath), { recursive: true })
+  await fs.writeFile(recordingFilePath, JSON.stringify(recordingContent, null, 2))
+
+  const calls = []
+  // Match on the `messages` key only, ignoring the nonce
+  const matchMessages = (incomingReq, recordedRequest) => {
+    calls.push(recordedRequest.originalUrl)
+    const incoming = JSON.parse(incomingReq.body.toString('utf8'))
+    const recorded = JSON.parse(Buffer.from(recordedRequest.body, 'base64').toString('utf8'))
+    return JSON.stringify(incoming.messages) === JSON.stringify(recorded.messages)
+  }
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR,
+    match: matchMessages
+  })
+  await t.context.proxy.setSequence(sequenceName)
+
+  const goodbye = await axios.post(`${t.context.proxy.url}${requestPath}`, { model: 'm1', messages: ['goodbye'], nonce: 'fresh-1' })
+  t.deepEqual(goodbye.data, { reply: 'goodbye' })
+  t.true(calls.length > 0, 'Global matcher should have been called')
+
+  // A per-sequence matcher overrides the global one; rejecting everything yields a miss
+  await t.context.proxy.setSequence(sequenceName, { match: () => false })
+  const error = await t.throwsAsync(axios.post(`${t.context.proxy.url}${requestPath}`, { model: 'm1', messages: ['hello'], nonce: 'fresh-2' }))
+  t.is(error.response.status, 500)
+  t.truthy(error.response.data.error.includes('No matching recording'))
+
+  // A matcher that throws fails the request instead of leaving it hanging
+  await t.context.proxy.setSequence(sequenceName, { match: () => { throw new Error('boom') } })
+  const thrown = await t.throwsAsync(axios.post(`${t.context.proxy.url}${requestPath}`, { model: 'm1', messages: ['hello'] }, { timeout: 5000 }))
+  t.is(thrown.response.status, 500)
+  t.is(thrown.response.data.reason, 'matcher-error')
+  t.regex(thrown.response.data.error, /boom/)
+  t.is(thrown.response.data.sequence, sequenceName)
+
+  // Re-activating without a matcher falls back to the global one
+  await t.context.proxy.setSequence(sequenceName)
+  const hello = await axios.post(`${t.context.proxy.url}${requestPath}`, { model: 'm1', messages: ['hello'], nonce: 'fresh-3' })
+  t.deepEqual(hello.data, { reply: 'hello' })
+})
+
+test.serial('Replay Mode: strictMatching refuses partial matches', async t => {
+  const sequenceName = 'test-replay-strict-matching'
+  const requestPath = '/get'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename(requestPath))
+  const recordingContent = [{
+    request: { method: 'GET', path: requestPath, originalUrl: `${requestPath}?page=1`, headers: {}, body: null },
+    response: {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify({ page: 1 })).toString('base64')
+    }
+  }]
+  await fs.mkdir(path.dirname(recordingFilePath), { recursive: true })
+  await fs.writeFile(recordingFilePath, JSON.stringify(recordingContent, null, 2))
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR,
+    strictMatching: true
+  })
+  await t.context.proxy.setSequence(sequenceName)
+
+  // The query differs, so the recording is only a partial match
+  const error = await t.throwsAsync(axios.get(`${t.context.proxy.url}${requestPath}?page=3`))
+  t.is(error.response.status, 500)
+  t.is(error.response.data.reason, 'no-match')
+
+  // Without it (per sequence), the closest recording is served
+  await t.context.proxy.setSequence(sequenceName, { strictMatching: false })
+  t.deepEqual((await axios.get(`${t.context.proxy.url}${requestPath}?page=3`)).data, { page: 1 })
+})
+
+// --- Tests for Record-Missing Mode ---
+
+test.serial('Record-Missing Mode: should replay known calls and record only new ones', async t => {
+  const sequenceName = 'test-record-missing'
+  const requestPath = '/get'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename(requestPath))
+  const existingRecording = [{
+    request: { method: 'GET', path: requestPath, originalUrl: `${requestPath}?known=1`, headers: {}, body: null },
+    response: {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify({ from: 'recording' })).toString('base64')
+    }
+  }]
+  await fs.mkdir(path.dirname(recordingFilePath), { recursive: true })
+  await fs.writeFile(recordingFilePath, JSON.stringify(existingRecording, null, 2))
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR
+  })
+  await t.context.proxy.setSequence(sequenceName, { recordMode: 'missing' })
+
+  lastMockRequest = null
+  const known = await axios.get(`${t.context.proxy.url}${requestPath}?known=1`)
+  t.deepEqual(known.data, { from: 'recording' })
+  t.is(lastMockRequest, null, 'Known call should be replayed without hitting the target')
+
+  const fresh = await axios.get(`${t.context.proxy.url}${requestPath}?new=1`)
+  t.deepEqual(fresh.data, { message: 'mock get success', query: { new: '1' } })
+  t.truthy(lastMockRequest, 'Unmatched call should be proxied to the target')
+
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const recordings = JSON.parse(await fs.readFile(recordingFilePath, 'utf8'))
+  t.is(recordings.length, 2, 'New interaction should be appended to the existing file')
+  t.is(recordings[0].request.originalUrl, `${requestPath}?known=1`)
+  t.is(recordings[1].request.originalUrl, `${requestPath}?new=1`)
+
+  // A later replay-only activation serves both without the target
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR
+  })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  t.deepEqual((await axios.get(`${t.context.proxy.url}${requestPath}?new=1`)).data, fresh.data)
+  t.deepEqual((await axios.get(`${t.context.proxy.url}${requestPath}?known=1`)).data, { from: 'recording' })
+  t.is(lastMockRequest, null)
+})
+
+test.serial('Record-Missing Mode: concurrent misses on a file not loaded yet should keep its recordings once', async t => {
+  const sequenceName = 'test-record-missing-concurrent'
+  await fs.mkdir(path.join(TEST_RECORDINGS_DIR, sequenceName), { recursive: true })
+  await fs.writeFile(path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename('/get')), JSON.stringify([{
+    request: { method: 'GET', path: '/get', originalUrl: '/get?known=1', headers: {}, body: null },
+    response: { status: 200, headers: {}, body: Buffer.from('known').toString('base64') }
+  }]))
+
+  // The cassette layout appends per-path recordings seeded from disk to the cassette
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, storageLayout: 'cassette' })
+  await t.context.proxy.setSequence(sequenceName, { recordMode: 'missing' })
+  await Promise.all([1, 2, 3].map(n => axios.get(`${t.context.proxy.url}/get?new=${n}`)))
+  await t.context.proxy.flush()
+
+  const cassette = JSON.parse(await fs.readFile(path.join(TEST_RECORDINGS_DIR, `${sequenceName}.cassette.json`), 'utf8'))
+  const urls = cassette.map(entry => entry.request.originalUrl)
+  t.is(urls.length, 4)
+  t.deepEqual(urls.filter(url => url === '/get?known=1'), ['/get?known=1'], 'The recording on disk should be seeded once')
+  t.deepEqual(urls.filter(url => url !== '/get?known=1').sort(), ['/get?new=1', '/get?new=2', '/get?new=3'])
+})
+
+// --- Tests for Consumption Reporting ---
+
+test.serial('Replay Mode: getUnusedInteractions and assertSequenceComplete report unreplayed interactions', async t => {
+  const sequenceName = 'test-replay-unused'
+  const sequencePath = path.join(TEST_RECORDINGS_DIR, sequenceName)
+  const makeInteraction = (requestPath, query) => ({
+    request: { method: 'GET', path: requestPath, originalUrl: `${requestPath}${query}`, headers: {}, body: null },
+    response: {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify({ query })).toString('base64')
+    }
+  })
+  await fs.mkdir(sequencePath, { recursive: true })
+  await fs.writeFile(path.join(sequencePath, sanitizeFilename('/get')), JSON.stringify([
+    makeInteraction('/get', '?n=1'),
+    makeInteraction('/get', '?n=2')
+  ]))
+  await fs.writeFile(path.join(sequencePath, sanitizeFilename('/other')), JSON.stringify([
+    makeInteraction('/other', '')
+  ]))
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR
+  })
+  await t.context.proxy.setSequence(sequenceName)
+
+  await axios.get(`${t.context.proxy.url}/get?n=2`)
+
+  const unused = await t.context.proxy.getUnusedInteractions()
+  t.deepEqual(unused, {
+    [sequenceName]: {
+      [sanitizeFilename('/get')]: [{ index: 0, method: 'GET', originalUrl: '/get?n=1' }],
+      [sanitizeFilename('/other')]: [{ index: 0, method: 'GET', originalUrl: '/other' }]
+    }
+  })
+
+  const error = await t.throwsAsync(t.context.proxy.assertSequenceComplete())
+  t.regex(error.message, /2 recorded interaction\(s\) in sequence test-replay-unused were never replayed/)
+  t.deepEqual(error.unused, unused)
+
+  await axios.get(`${t.context.proxy.url}/get?n=1`)
+  await axios.get(`${t.context.proxy.url}/other`)
+  await t.notThrowsAsync(t.context.proxy.assertSequenceComplete(sequenceName))
+  t.deepEqual(await t.context.proxy.getUnusedInteractions(), {})
+  await t.context.proxy.stop()
+
+  // The default sequence is replayed from the start, without a setSequence call
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR,
+    defaultSequenceName: sequenceName
+  })
+  await axios.get(`${t.context.proxy.url}/get?n=1`)
+  const unusedAtStart = await t.context.proxy.getUnusedInteractions()
+  t.deepEqual(Object.keys(unusedAtStart), [sequenceName])
+  t.deepEqual(unusedAtStart[sequenceName][sanitizeFilename('/get')], [{ index: 1, method: 'GET', originalUrl: '/get?n=2' }])
+  t.deepEqual((await t.throwsAsync(t.context.proxy.assertSequenceComplete())).unused, unusedAtStart)
+})
+
+// --- Tests for Replay Failure Diagnostics ---
+
+test.serial('Replay Mode: failures return structured JSON diagnostics with closest candidates and diff', async t => {
+  const sequenceName = 'test-replay-diagnostics'
+  const requestPath = '/items'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename(requestPath))
+  const recordingContent = [{
+    request: {
+      method: 'POST',
+      path: requestPath,
+      originalUrl: `${requestPath}?v=1`,
+      headers: { 'content-type': 'application/json', 'x-client': 'old' },
+      body: Buffer.from(JSON.stringify({ name: 'a', qty: 1 })).toString('base64')
+    },
+    response: {
+      status: 201,
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify({ ok: true })).toString('base64')
+    }
+  }]
+  await fs.mkdir(path.dirname(recordingFilePath), { recursive: true })
+  await fs.writeFile(recordingFilePath, JSON.stringify(recordingContent, null, 2))
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR
+  })
+  await t.context.proxy.setSequence(sequenceName)
+
+  // Missing path file: the closest request from other files is still reported
+  const missing = await t.throwsAsync(axios.get(`${t.context.proxy.url}/unknown`))
+  t.is(missing.response.status, 500)
+  t.is(missing.response.data.reason, 'no-recording')
+  t.is(missing.response.data.sequence, sequenceName)
+  t.is(missing.response.data.checkedFiles.length, 2)
+  t.is(missing.response.data.candidates[0].file, sanitizeFilename(requestPath))
+  t.deepEqual(missing.response.data.diff.method, { recorded: 'POST', incoming: 'GET' })
+
+  // Method mismatch inside an existing file
+  const noMatch = await t.throwsAsync(axios.get(`${t.context.proxy.url}${requestPath}?v=1`))
+  t.is(noMatch.response.data.reason, 'no-match')
+  t.deepEqual(noMatch.response.data.candidates[0], {
+    file: sanitizeFilename(requestPath),
+    index: 0,
+    method: 'POST',
+    originalUrl: `${requestPath}?v=1`,
+    consumed: false,
+    similarity: 5
+  })
+
+  // Consume the only interaction, then exhaust with a different body and header
+  await axios.post(`${t.context.proxy.url}${requestPath}?v=1`, { name: 'a', qty: 1 })
+  const exhausted = await t.throwsAsync(axios.post(`${t.context.proxy.url}${requestPath}?v=2`, { name: 'a', qty: 2 }, {
+    headers: { 'x-client': 'new' }
+  }))
+  const { data } = exhausted.response
+  t.is(data.reason, 'sequence-exhausted')
+  t.true(data.candidates[0].consumed)
+  t.deepEqual(data.diff.query, { recorded: 'v=1', incoming: 'v=2' })
+  t.deepEqual(data.diff.headers.changed['x-client'], { recorded: 'old', incoming: 'new' })
+  t.deepEqual(data.diff.body, { type: 'json', differences: [{ path: '$.qty', recorded: 1, incoming: 2 }] })
+})
+
+// --- Tests for Streaming Replay ---
+
+// Collects the data events of a GET response along with their arrival times
+function getChunks (url) {
+  return new Promise((resolve, reject) => {
+    const start = Date.now()
+    require('http').get(url, res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push({ text: chunk.toString('utf8'), time: Date.now() - start }))
+      res.on('end', () => resolve({ res, chunks }))
+      res.on('error', reject)
+    }).on('error', reject)
+  })
+}
+
+test.serial('Streaming: should record chunk timings and replay the stream chunk by chunk', async t => {
+  const sequenceName = 'test-streaming'
+  const requestPath = '/stream'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename(requestPath))
+
+  t.context.proxy = await createProxy({
+    recordMode: true,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR
+  })
+  await t.context.proxy.setSequence(sequenceName)
+  const recorded = await getChunks(`${t.context.proxy.url}${requestPath}`)
+  t.is(recorded.chunks.map(chunk => chunk.text).join(''), 'data: 1\n\ndata: 2\n\ndata: 3\n\n')
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const [interaction] = JSON.parse(await fs.readFile(recordingFilePath, 'utf8'))
+  const { chunkTimings } = interaction.response
+  t.is(chunkTimings.length, 3, 'Each SSE event should be recorded as its own chunk')
+  t.deepEqual(chunkTimings.map(chunk => chunk.size), [9, 9, 9])
+  t.true(chunkTimings[2].time >= 100, 'Recorded arrival times should reflect the upstream delays')
+
+  // Replay with recorded timing
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR,
+    streamReplay: 'recorded'
+  })
+  await t.context.proxy.setSequence(sequenceName)
+  const replayed = await getChunks(`${t.context.proxy.url}${requestPath}`)
+  t.is(replayed.res.headers['content-type'], 'text/event-stream')
+  t.deepEqual(replayed.chunks.map(chunk => chunk.text), ['data: 1\n\n', 'data: 2\n\n', 'data: 3\n\n'])
+  t.true(replayed.chunks[2].time - replayed.chunks[0].time >= 90, 'Chunks should be spaced by the recorded delays')
+
+  // Per-sequence override: zero delays, same bytes (from a copy of the recording)
+  const fastSequenceName = `${sequenceName}-fast`
+  await fs.mkdir(path.join(TEST_RECORDINGS_DIR, fastSequenceName), { recursive: true })
+  await fs.copyFile(recordingFilePath, path.join(TEST_RECORDINGS_DIR, fastSequenceName, sanitizeFilename(requestPath)))
+  await t.context.proxy.setSequence(fastSequenceName, { streamReplay: 0 })
+  const fast = await getChunks(`${t.context.proxy.url}${requestPath}`)
+  t.is(fast.chunks.map(chunk => chunk.text).join(''), 'data: 1\n\ndata: 2\n\ndata: 3\n\n')
+})
+
+// --- Tests for Latency Simulation ---
+
+test.serial('Latency: should record timing and apply replayLatency during replay', async t => {
+  const sequenceName = 'test-latency'
+  const requestPath = '/slow'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename(requestPath))
+
+  t.context.proxy = await createProxy({
+    recordMode: true,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR
+  })
+  await t.context.proxy.setSequence(sequenceName)
+  await axios.get(`${t.context.proxy.url}${requestPath}`)
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const [interaction] = JSON.parse(await fs.readFile(recordingFilePath, 'utf8'))
+  t.true(interaction.response.timing.ttfb >= 140, 'Time to first byte should include the upstream delay')
+  t.true(interaction.response.timing.duration >= interaction.response.timing.ttfb)
+
+  // Copies of the recording, so each sequence can be replayed once
+  for (const copy of ['fixed', 'instant']) {
+    const copyPath = path.join(TEST_RECORDINGS_DIR, `${sequenceName}-${copy}`, sanitizeFilename(requestPath))
+    await fs.mkdir(path.dirname(copyPath), { recursive: true })
+    await fs.copyFile(recordingFilePath, copyPath)
+  }
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR,
+    replayLatency: 'recorded'
+  })
+  const timeRequest = async () => {
+    const start = Date.now()
+    const response = await axios.get(`${t.context.proxy.url}${requestPath}`)
+    t.deepEqual(response.data, { message: 'mock slow success' })
+    return Date.now() - start
+  }
+
+  await t.context.proxy.setSequence(sequenceName)
+  t.true(await timeRequest() >= 140, 'Recorded latency should be simulated')
+
+  await t.context.proxy.setSequence(`${sequenceName}-fixed`, { replayLatency: { fixed: 250 } })
+  t.true(await timeRequest() >= 240, 'Fixed latency should be simulated')
+
+  await t.context.proxy.setSequence(`${sequenceName}-instant`, { replayLatency: 0 })
+  t.true(await timeRequest() < 140, 'A zero multiplier should answer without delay')
+
+  await t.context.proxy.stop()
+
+  // Loading stored recordings before appending to them isn't upstream time
+  const memoryStorage = createMemoryStorage({ [sequenceName]: { [sanitizeFilename('/get')]: [] } })
+  const slowStorage = {
+    ...memoryStorage,
+    read: async (...args) => {
+      await new Promise(resolve => setTimeout(resolve, 300))
+      return memoryStorage.read(...args)
+    }
+  }
+  t.context.proxy = await createProxy({ recordMode: false, targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, storage: slowStorage })
+  await t.context.proxy.setSequence(sequenceName)
+  await t.context.proxy.setMode(true)
+  await axios.get(`${t.context.proxy.url}/get?appended=1`)
+  await t.context.proxy.flush()
+  const [appended] = await memoryStorage.read(sequenceName, sanitizeFilename('/get'))
+  t.true(appended.response.timing.duration < 250, `Recorded timing should leave out the storage read (got ${appended.response.timing.duration} ms)`)
+})
+
+// --- Tests for WebSocket Record and Replay ---
+
+// Opens a WebSocket, sends each message after the previous reply and collects every message received
+function runWebSocketConversation (url, messages) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url)
+    const received = []
+    const toSend = [...messages]
+    ws.on('message', (data, isBinary) => {
+      received.push(isBinary ? Buffer.from(data) : data.toString())
+      if (toSend.length > 0) {
+        ws.send(toSend.shift())
+      } else {
+        ws.close(1000, 'done')
+      }
+    })
+    ws.on('close', () => resolve(received))
+    ws.on('error', reject)
+  })
+}
+
+test.serial('WebSocket: should record frames in record mode and replay them in replay mode', async t => {
+  const sequenceName = 'test-websocket'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, '_ws.ws.echo.json')
+
+  t.context.proxy = await createProxy({
+    recordMode: true,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR
+  })
+  await t.context.proxy.setSequence(sequenceName)
+  const wsUrl = `${t.context.proxy.url.replace(/^http/, 'ws')}/ws?room=1`
+  const binary = Buffer.from([1, 2, 3])
+
+  const recorded = await runWebSocketConversation(wsUrl, ['a', binary])
+  t.deepEqual(recorded, ['welcome', 'echo:a', binary])
+  t.is(mockWebSocketConnections, 1)
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const [session] = JSON.parse(await fs.readFile(recordingFilePath, 'utf8'))
+  t.is(session.request.originalUrl, '/ws?room=1')
+  t.deepEqual(session.frames.map(frame => [frame.direction, frame.binary]), [
+    ['server', false],
+    ['client', false],
+    ['server', false],
+    ['client', true],
+    ['server', true]
+  ])
+  t.is(Buffer.from(session.frames[2].data, 'base64').toString(), 'echo:a')
+  t.deepEqual(session.close, { initiator: 'client', code: 1000, reason: 'done' })
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR
+  })
+  await t.context.proxy.setSequence(sequenceName)
+  const replayed = await runWebSocketConversation(`${t.context.proxy.url.replace(/^http/, 'ws')}/ws?room=1`, ['a', binary])
+  t.deepEqual(replayed, ['welcome', 'echo:a', binary])
+  t.is(mockWebSocketConnections, 1, 'Replay should not connect to the target')
+  t.deepEqual(await t.context.proxy.getUnusedInteractions(), {})
+
+  // No session left: the upgrade is refused
+  await t.throwsAsync(runWebSocketConversation(`${t.context.proxy.url.replace(/^http/, 'ws')}/ws?room=1`, []), { message: /Unexpected server response: 500/ })
+})
+
+// --- Tests for Forward-Proxy Mode ---
+
+test.serial('Forward Proxy: should record and replay absolute-URL requests grouped per upstream host', async t => {
+  const sequenceName = 'test-forward-http'
+  const hostDir = `localhost_${mockTargetPort}`
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, hostDir, sanitizeFilename('/get'))
+
+  t.context.proxy = await createProxy({
+    recordMode: true,
+    targetUrl: 'http://should-not-be-hit.invalid',
+    recordingsDir: TEST_RECORDINGS_DIR,
+    forwardProxy: true
+  })
+  await t.context.proxy.setSequence(sequenceName)
+  const proxyOption = { host: 'localhost', port: t.context.proxy.port }
+
+  const recorded = await axios.get(`${MOCK_TARGET_URL}/get?via=forward`, { proxy: proxyOption })
+  t.deepEqual(recorded.data, { message: 'mock get success', query: { via: 'forward' } })
+  t.is(lastMockRequest.path, '/get?via=forward')
+  // Upstream paths below the control prefix are recorded too
+  const controlLike = await axios.get(`${MOCK_TARGET_URL}/echoproxia/status`, { proxy: proxyOption })
+  t.deepEqual(controlLike.data, { path: '/echoproxia/status' })
+  t.is((await axios.get(`${t.context.proxy.url}/echoproxia/status`)).data.sequence, sequenceName, 'Direct requests still reach the control API')
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const [interaction] = JSON.parse(await fs.readFile(recordingFilePath, 'utf8'))
+  t.is(interaction.request.originalUrl, '/get?via=forward', 'Recorded URL should be relative to the host directory')
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: 'http://should-not-be-hit.invalid',
+    recordingsDir: TEST_RECORDINGS_DIR,
+    forwardProxy: true
+  })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  const replayed = await axios.get(`${MOCK_TARGET_URL}/get?via=forward`, { proxy: { host: 'localhost', port: t.context.proxy.port } })
+  t.deepEqual(replayed.data, recorded.data)
+  const replayedControlLike = await axios.get(`${MOCK_TARGET_URL}/echoproxia/status`, { proxy: { host: 'localhost', port: t.context.proxy.port } })
+  t.deepEqual(replayedControlLike.data, controlLike.data)
+  t.is(lastMockRequest, null, 'Replay should not hit the upstream host')
+  t.deepEqual(await t.context.proxy.getUnusedInteractions(), {})
+})
+
+// Sends a GET through an HTTPS CONNECT tunnel, trusting only the given CA
+function httpsGetThroughProxy (proxyPort, host, requestPath, ca) {
+  return new Promise((resolve, reject) => {
+    const connectReq = require('http').request({ host: 'localhost', port: proxyPort, method: 'CONNECT', path: `${host}:443` })
+    connectReq.on('connect', (connectRes, socket) => {
+      const tlsSocket = require('tls').connect({ socket, servername: host, ca })
+      tlsSocket.on('error', reject)
+      const req = require('http').request({
+        host,
+        path: requestPath,
+        headers: { host },
+        createConnection: () => tlsSocket
+      }, res => {
+        const chunks = []
+        res.on('data', chunk => chunks.push(chunk))
+        res.on('end', () => {
+          tlsSocket.destroy()
+          resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') })
+        })
+      })
+      req.on('error', reject)
+      req.end()
+    })
+    connectReq.on('error', reject)
+    connectReq.end()
+  })
+}
+
+test.serial('Forward Proxy: should intercept HTTPS CONNECT tunnels with the local CA and replay per host', async t => {
+  const sequenceName = 'test-forward-https'
+  const host = 'secure.example.test'
+  const caDir = path.join(TEST_RECORDINGS_DIR, 'ca')
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, host, sanitizeFilename('/get'))
+  await fs.mkdir(path.dirname(recordingFilePath), { recursive: true })
+  await fs.writeFile(recordingFilePath, JSON.stringify([{
+    request: { method: 'GET', path: '/get', originalUrl: '/get', headers: {}, body: null },
+    response: {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+      body: Buffer.from(JSON.stringify({ secure: true })).toString('base64')
+    }
+  }]))
+
+  t.context.proxy = await createProxy({
+    recordMode: false,
+    targetUrl: 'http://should-not-be-hit.invalid',
+    recordingsDir: TEST_RECORDINGS_DIR,
+    forwardProxy: true,
+    caDir
+  })
+  await t.context.proxy.setSequence(sequenceName)
+
+  t.is(t.context.proxy.caCertPath, path.join(caDir, 'echoproxia-ca.cert.pem'))
+  t.is(await fs.readFile(t.context.proxy.caCertPath, 'utf8'), t.context.proxy.caCert, 'Generated CA should be saved to caDir')
+
+  const response = await httpsGetThroughProxy(t.context.proxy.port, host, '/get', t.context.proxy.caCert)
+  t.is(response.status, 200)
+  t.deepEqual(JSON.parse(response.body), { secure: true })
+
+  // Clients that don't trust the CA are refused by TLS verification
+  await t.throwsAsync(httpsGetThroughProxy(t.context.proxy.port, host, '/get', undefined))
+})
+
+test.serial('Routes: should proxy by path prefix or Host header and keep each route\'s recordings apart', async t => {
+  const sequenceName = 'test-routes'
+  const sequenceDir = path.join(TEST_RECORDINGS_DIR, sequenceName)
+  const options = {
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR,
+    routes: [
+      { prefix: '/auth', target: MOCK_TARGET_URL, stripPrefix: true },
+      { host: 'billing.local', target: MOCK_TARGET_URL, name: 'billing' }
+    ]
+  }
+
+  t.context.proxy = await createProxy({ ...options, recordMode: true })
+  await t.context.proxy.setSequence(sequenceName)
+  const proxyUrl = t.context.proxy.url
+
+  const viaPrefix = await axios.get(`${proxyUrl}/auth/get?route=prefix`)
+  t.deepEqual(viaPrefix.data.query, { route: 'prefix' })
+  t.is(lastMockRequest.path, '/get?route=prefix', 'stripPrefix should remove the prefix upstream')
+  const viaHost = await axios.get(`${proxyUrl}/get?route=host`, { headers: { Host: 'billing.local' } })
+  t.deepEqual(viaHost.data.query, { route: 'host' })
+  const viaDefault = await axios.get(`${proxyUrl}/get?route=default`)
+  t.deepEqual(viaDefault.data.query, { route: 'default' })
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const [prefixInteraction] = JSON.parse(await fs.readFile(path.join(sequenceDir, 'auth', sanitizeFilename('/auth/get')), 'utf8'))
+  t.is(prefixInteraction.request.path, '/auth/get', 'Recorded path should be the incoming one')
+  const [hostInteraction] = JSON.parse(await fs.readFile(path.join(sequenceDir, 'billing', sanitizeFilename('/get')), 'utf8'))
+  t.is(hostInteraction.request.originalUrl, '/get?route=host')
+  const defaultInteractions = JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename('/get')), 'utf8'))
+  t.deepEqual(defaultInteractions.map(i => i.request.originalUrl), ['/get?route=default'])
+
+  t.context.proxy = await createProxy({ ...options, recordMode: false })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  const replayedHost = await axios.get(`${t.context.proxy.url}/get?route=host`, { headers: { Host: 'billing.local' } })
+  t.deepEqual(replayedHost.data, viaHost.data)
+  const replayedPrefix = await axios.get(`${t.context.proxy.url}/auth/get?route=prefix`)
+  t.deepEqual(replayedPrefix.data, viaPrefix.data)
+  const replayedDefault = await axios.get(`${t.context.proxy.url}/get?route=default`)
+  t.deepEqual(replayedDefault.data, viaDefault.data)
+  t.is(lastMockRequest, null, 'Replay should not hit any upstream')
+  t.deepEqual(await t.context.proxy.getUnusedInteractions(), {})
+
+  // HAR has the URLs the upstreams were called with, so stripPrefix routes lose the prefix
+  const har = await t.context.proxy.exportHar(sequenceName)
+  const prefixEntry = har.log.entries.find(entry => entry._echoproxia.file.startsWith('auth'))
+  t.is(prefixEntry.request.url, `${MOCK_TARGET_URL}/get?route=prefix`)
+  await t.context.proxy.importHar(har, `${sequenceName}-copy`)
+  const [copiedPrefix] = JSON.parse(await fs.readFile(path.join(TEST_RECORDINGS_DIR, `${sequenceName}-copy`, 'auth', sanitizeFilename('/auth/get')), 'utf8'))
+  t.is(copiedPrefix.request.originalUrl, '/auth/get?route=prefix')
+  await t.context.proxy.stop()
+
+  // Without echoproxia's metadata, the route is found by its target
+  t.context.proxy = await createProxy({ ...options, targetUrl: 'http://should-not-be-hit.invalid', recordMode: false })
+  const plainEntry = { ...prefixEntry }
+  delete plainEntry._echoproxia
+  await t.context.proxy.importHar({ log: { ...har.log, entries: [plainEntry] } }, `${sequenceName}-plain`)
+  await t.context.proxy.setSequence(`${sequenceName}-plain`)
+  t.deepEqual((await axios.get(`${t.context.proxy.url}/auth/get?route=prefix`)).data, viaPrefix.data)
+
+  await t.throwsAsync(
+    createProxy({ ...options, routes: [{ prefix: '/missing-target' }] }),
+    { message: /each route needs a target/ }
+  )
+})
+
+test.serial('Redaction: redactBody should scrub request and response bodies and still match on replay', async t => {
+  const sequenceName = 'test-redact-body'
+  const sequenceDir = path.join(TEST_RECORDINGS_DIR, sequenceName)
+  const options = {
+    targetUrl: MOCK_TARGET_URL,
+    recordingsDir: TEST_RECORDINGS_DIR,
+    includePlainTextBody: true,
+    redactBody: ['$.user.password', '$.received_body.user.password', '$.apiKey', /sk-live-\w+/, (text, { type }) => type === 'response' ? text.replace(/jane@example\.com/g, 'user@example.invalid') : text]
+  }
+  const requestBody = { user: { name: 'jane', password: 'hunter2' }, note: 'contact jane@example.com with sk-live-abcdef' }
+
+  t.context.proxy = await createProxy({ ...options, recordMode: true })
+  await t.context.proxy.setSequence(sequenceName)
+  const posted = await axios.post(`${t.context.proxy.url}/post`, requestBody)
+  t.deepEqual(posted.data.received_body, requestBody, 'The live response should not be redacted')
+  t.is(lastMockRequest.body.user.password, 'hunter2', 'The upstream should get the real body')
+  const gzipped = await axios.get(`${t.context.proxy.url}/gzip-secret`)
+  t.is(gzipped.data.apiKey, 'sk-live-123456')
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const [postInteraction] = JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename('/post')), 'utf8'))
+  const recordedRequestBody = JSON.parse(Buffer.from(postInteraction.request.body, 'base64').toString('utf8'))
+  t.deepEqual(recordedRequestBody, { user: { name: 'jane', password: '[REDACTED]' }, note: 'contact jane@example.com with [REDACTED]' })
+  t.deepEqual(JSON.parse(postInteraction.request.bodyPlainText), recordedRequestBody)
+  const recordedResponseText = Buffer.from(postInteraction.response.body, 'base64').toString('utf8')
+  t.false(recordedResponseText.includes('hunter2'))
+  t.false(recordedResponseText.includes('sk-live-abcdef'))
+  t.true(recordedResponseText.includes('user@example.invalid'), 'Function rules should apply to responses')
+  t.is(postInteraction.response.bodyPlainText, recordedResponseText)
+
+  const [gzipInteraction] = JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename('/gzip-secret')), 'utf8'))
+  const recordedGzipBody = JSON.parse(zlib.gunzipSync(Buffer.from(gzipInteraction.response.body, 'base64')).toString('utf8'))
+  t.deepEqual(recordedGzipBody, { apiKey: '[REDACTED]', ok: true }, 'Compressed bodies should be redacted and re-compressed')
+  t.deepEqual(JSON.parse(gzipInteraction.response.bodyPlainText), recordedGzipBody)
+
+  // Record-missing only replays exact matches, so this shows the incoming body is redacted before matching
+  t.context.proxy = await createProxy({ ...options, recordMode: 'missing' })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  const replayed = await axios.post(`${t.context.proxy.url}/post`, requestBody)
+  t.is(lastMockRequest, null, 'The redacted recording should match the unredacted request')
+  t.is(replayed.data.received_body.user.password, '[REDACTED]')
+})
+
+test.serial('Redaction: redactQueryParams should mask query parameters in recorded URLs and still match on replay', async t => {
+  const sequenceName = 'test-redact-query'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename('/get'))
+  const options = { targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, redactQueryParams: ['key', 'Token'] }
+
+  t.context.proxy = await createProxy({ ...options, recordMode: true })
+  await t.context.proxy.setSequence(sequenceName)
+  const live = await axios.get(`${t.context.proxy.url}/get?key=secret-1&page=2&token=secret-2`)
+  t.deepEqual(live.data.query, { key: 'secret-1', page: '2', token: 'secret-2' }, 'The upstream should get the real query')
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const fileContent = await fs.readFile(recordingFilePath, 'utf8')
+  t.false(fileContent.includes('secret-'), 'Secrets should not reach the recording')
+  const [interaction] = JSON.parse(fileContent)
+  t.is(interaction.request.originalUrl, '/get?key=[REDACTED]&page=2&token=[REDACTED]')
+
+  // Record-missing only replays exact matches, so this shows the incoming query is redacted before matching
+  t.context.proxy = await createProxy({ ...options, recordMode: 'missing' })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  const replayed = await axios.get(`${t.context.proxy.url}/get?token=other-secret&page=2&key=another`)
+  t.is(lastMockRequest, null, 'The redacted recording should match regardless of the secret values')
+  t.deepEqual(replayed.data, live.data)
+})
+
+test.serial('Secret Scan: should redact, fail the write or reject the request when a recording would leak a secret', async t => {
+  const sequenceName = 'test-secret-scan'
+  const recordingFilePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename('/get'))
+  const leakyHeaders = { 'x-api-key': 'sk-abcdefghijklmnopqrstuvwxyz' }
+  const options = { targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: true }
+
+  // redact: the secret is replaced in the written recording
+  t.context.proxy = await createProxy({ ...options, secretScan: { action: 'redact', patterns: { 'internal-id': /internal-\d{6}/ } } })
+  await t.context.proxy.setSequence(sequenceName)
+  await axios.get(`${t.context.proxy.url}/get?id=internal-123456`, { headers: leakyHeaders })
+  await t.context.proxy.stop()
+  t.context.proxy = null
+  const redactedContent = await fs.readFile(recordingFilePath, 'utf8')
+  t.false(redactedContent.includes('sk-abcdefghijklmnopqrstuvwxyz'))
+  t.false(redactedContent.includes('internal-123456'), 'Custom patterns should be scanned too')
+  const [redactedInteraction] = JSON.parse(redactedContent)
+  t.is(redactedInteraction.request.headers['x-api-key'], '[REDACTED]')
+  t.is(redactedInteraction.request.originalUrl, '/get?id=[REDACTED]')
+
+  // fail: nothing is written and stop() rejects with the findings
+  t.context.proxy = await createProxy({ ...options, secretScan: true })
+  await t.context.proxy.setSequence(sequenceName)
+  const live = await axios.get(`${t.context.proxy.url}/get`, { headers: leakyHeaders })
+  t.is(live.status, 200, 'The request itself should still be answered')
+  const proxy = t.context.proxy
+  t.context.proxy = null
+  const error = await t.throwsAsync(proxy.stop(), { message: /refusing to record secrets/ })
+  t.is(error.code, 'ECHOPROXIA_SECRET_LEAK')
+  t.deepEqual(error.findings, [{ interaction: 0, location: 'request.headers.x-api-key', pattern: 'sk-key' }])
+  await t.throwsAsync(fs.access(recordingFilePath), { code: 'ENOENT' }, 'The leaking recording should not be written')
+
+  // reject: the request is refused before it reaches the upstream
+  t.context.proxy = await createProxy({ ...options, secretScan: { action: 'reject' } })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  const refused = await axios.get(`${t.context.proxy.url}/get`, { headers: leakyHeaders, validateStatus: () => true })
+  t.is(refused.status, 500)
+  t.is(refused.data.reason, 'secret-detected')
+  t.is(lastMockRequest, null, 'The upstream should not be contacted')
+  const allowed = await axios.get(`${t.context.proxy.url}/get`)
+  t.is(allowed.status, 200, 'Requests without secrets should be recorded as usual')
+})
+
+test.serial('HAR: exportHar and importHar should round-trip a sequence and import browser captures', async t => {
+  const sourceSequence = 'test-har-source'
+  t.context.proxy = await createProxy({ recordMode: true, targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR })
+  await t.context.proxy.setSequence(sourceSequence)
+  const got = await axios.get(`${t.context.proxy.url}/get?format=har`)
+  const posted = await axios.post(`${t.context.proxy.url}/post`, { hello: 'har' })
+  const gzipped = await axios.get(`${t.context.proxy.url}/gzip-secret`)
+
+  const har = await t.context.proxy.exportHar(sourceSequence)
+  t.is(har.log.version, '1.2')
+  t.is(har.log.creator.name, 'echoproxia')
+  t.is(har.log.entries.length, 3)
+  const postEntry = har.log.entries.find(entry => entry.request.method === 'POST')
+  t.is(postEntry.request.url, `${MOCK_TARGET_URL}/post`)
+  t.deepEqual(JSON.parse(postEntry.request.postData.text), { hello: 'har' })
+  t.is(postEntry.response.status, 201)
+  t.is(postEntry.response.content.encoding, 'base64')
+  t.deepEqual(JSON.parse(Buffer.from(postEntry.response.content.text, 'base64').toString('utf8')), posted.data)
+  t.true(postEntry.response.headers.some(({ name, value }) => name === 'content-type' && value.startsWith('application/json')))
+  const getEntry = har.log.entries.find(entry => entry.request.url.endsWith('/get?format=har'))
+  t.deepEqual(getEntry.request.queryString, [{ name: 'format', value: 'har' }])
+
+  // Round trip through a file into another sequence, then replay it
+  const harPath = path.join(TEST_RECORDINGS_DIR, 'export.har')
+  await fs.writeFile(harPath, JSON.stringify(har))
+  const imported = await t.context.proxy.importHar(harPath, 'test-har-copy')
+  t.is(imported.interactions, 3)
+  const sourceFile = JSON.parse(await fs.readFile(path.join(TEST_RECORDINGS_DIR, sourceSequence, sanitizeFilename('/gzip-secret')), 'utf8'))
+  const copiedFile = JSON.parse(await fs.readFile(path.join(TEST_RECORDINGS_DIR, 'test-har-copy', sanitizeFilename('/gzip-secret')), 'utf8'))
+  t.deepEqual(copiedFile, sourceFile, 'Bodies, headers, status and timing should survive the round trip')
+
+  await t.context.proxy.setSequence('test-har-copy', { recordMode: false })
+  lastMockRequest = null
+  t.deepEqual((await axios.get(`${t.context.proxy.url}/get?format=har`)).data, got.data)
+  t.deepEqual((await axios.post(`${t.context.proxy.url}/post`, { hello: 'har' })).data, posted.data)
+  t.deepEqual((await axios.get(`${t.context.proxy.url}/gzip-secret`)).data, gzipped.data)
+  t.is(lastMockRequest, null, 'Imported recordings should be replayed without the upstream')
+
+  // Browsers store decompressed bodies next to the original content-encoding header
+  const browserHar = {
+    log: {
+      version: '1.2',
+      creator: { name: 'WebInspector', version: '537.36' },
+      entries: [{
+        startedDateTime: new Date().toISOString(),
+        time: 42,
+        request: {
+          method: 'POST',
+          url: 'https://api.example.com/v1/items?page=1',
+          httpVersion: 'h2',
+          headers: [{ name: ':authority', value: 'api.example.com' }, { name: 'Content-Type', value: 'application/json' }],
+          queryString: [{ name: 'page', value: '1' }],
+          cookies: [],
+          headersSize: -1,
+          bodySize: 13,
+          postData: { mimeType: 'application/json', text: '{"name":"a"}' }
+        },
+        response: {
+          status: 200,
+          statusText: '',
+          httpVersion: 'h2',
+          headers: [{ name: 'Content-Type', value: 'application/json' }, { name: 'Content-Encoding', value: 'gzip' }],
+          cookies: [],
+          content: { size: 11, mimeType: 'application/json', text: '{"id":"a1"}' },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: -1
+        },
+        cache: {},
+        timings: { send: 1, wait: 30, receive: 11 }
+      }]
+    }
+  }
+  const browserImport = await t.context.proxy.importHar(browserHar, 'test-har-browser')
+  t.deepEqual(browserImport.files, [sanitizeFilename('/v1/items')])
+  const [browserInteraction] = JSON.parse(await fs.readFile(path.join(TEST_RECORDINGS_DIR, 'test-har-browser', sanitizeFilename('/v1/items')), 'utf8'))
+  t.is(browserInteraction.request.originalUrl, '/v1/items?page=1')
+  t.false(':authority' in browserInteraction.request.headers)
+  t.false('content-encoding' in browserInteraction.response.headers, 'A decompressed body should lose its content-encoding')
+  t.deepEqual(browserInteraction.response.timing, { ttfb: 31, duration: 42 })
+
+  await t.context.proxy.setSequence('test-har-browser', { recordMode: false })
+  const replayed = await axios.post(`${t.context.proxy.url}/v1/items?page=1`, { name: 'a' })
+  t.deepEqual(replayed.data, { id: 'a1' })
+
+  // Forward-proxied hosts are exported with their scheme and port, also by a later process
+  await t.context.proxy.stop()
+  const forwardOptions = { targetUrl: 'http://should-not-be-hit.invalid', recordingsDir: TEST_RECORDINGS_DIR, forwardProxy: true }
+  t.context.proxy = await createProxy({ ...forwardOptions, recordMode: true })
+  await t.context.proxy.setSequence('test-har-forward')
+  await axios.get(`${MOCK_TARGET_URL}/get?via=forward`, { proxy: { host: 'localhost', port: t.context.proxy.port } })
+  const secureHar = JSON.parse(JSON.stringify(browserHar))
+  secureHar.log.entries[0].request.url = 'https://secure.example.test:8443/v1/items?page=1'
+  await t.context.proxy.importHar(secureHar, 'test-har-forward-https')
+  await t.context.proxy.stop()
+
+  t.context.proxy = await createProxy({ ...forwardOptions, recordMode: false })
+  const [forwardEntry] = (await t.context.proxy.exportHar('test-har-forward')).log.entries
+  t.is(forwardEntry.request.url, `${MOCK_TARGET_URL}/get?via=forward`)
+  const [secureEntry] = (await t.context.proxy.exportHar('test-har-forward-https')).log.entries
+  t.is(secureEntry.request.url, 'https://secure.example.test:8443/v1/items?page=1')
+})
+
+test.serial('Cassette Layout: should record one ordered file per sequence and replay it', async t => {
+  const sequenceName = 'test-cassette'
+  const cassettePath = path.join(TEST_RECORDINGS_DIR, `${sequenceName}.cassette.json`)
+  const options = { targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR }
+
+  t.context.proxy = await createProxy({ ...options, recordMode: true, storageLayout: 'cassette' })
+  await t.context.proxy.setSequence(sequenceName)
+  const first = await axios.get(`${t.context.proxy.url}/get?step=1`)
+  const posted = await axios.post(`${t.context.proxy.url}/post`, { step: 2 })
+  const third = await axios.get(`${t.context.proxy.url}/get?step=3`)
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const cassette = JSON.parse(await fs.readFile(cassettePath, 'utf8'))
+  t.deepEqual(cassette.map(entry => [entry.file, entry.request.originalUrl]), [
+    [sanitizeFilename('/get'), '/get?step=1'],
+    [sanitizeFilename('/post'), '/post'],
+    [sanitizeFilename('/get'), '/get?step=3']
+  ], 'Interactions should be stored in arrival order across paths')
+  t.deepEqual(await fs.readdir(path.join(TEST_RECORDINGS_DIR, sequenceName)), ['echoproxia.manifest.json'], 'No per-path files should be written')
+
+  // Replay reads the cassette whatever the configured layout
+  t.context.proxy = await createProxy({ ...options, recordMode: false })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  t.deepEqual((await axios.get(`${t.context.proxy.url}/get?step=3`)).data, third.data)
+  t.deepEqual((await axios.post(`${t.context.proxy.url}/post`, { step: 2 })).data, posted.data)
+  t.deepEqual((await axios.get(`${t.context.proxy.url}/get?step=1`)).data, first.data)
+  t.is(lastMockRequest, null)
+  t.deepEqual(await t.context.proxy.getUnusedInteractions(), {})
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  // Record-missing appends new interactions to the cassette
+  t.context.proxy = await createProxy({ ...options, recordMode: 'missing' })
+  await t.context.proxy.setSequence(sequenceName)
+  await axios.get(`${t.context.proxy.url}/get?step=1`)
+  await axios.get(`${t.context.proxy.url}/get?step=4`)
+  await t.context.proxy.stop()
+  t.context.proxy = null
+  const extended = JSON.parse(await fs.readFile(cassettePath, 'utf8'))
+  t.deepEqual(extended.map(entry => entry.request.originalUrl), ['/get?step=1', '/post', '/get?step=3', '/get?step=4'])
+})
+
+test.serial('Body Format: readable bodies should be stored as JSON or text and replayed byte for byte', async t => {
+  const sequenceName = 'test-readable-bodies'
+  const sequenceDir = path.join(TEST_RECORDINGS_DIR, sequenceName)
+  const options = { targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR }
+
+  t.context.proxy = await createProxy({ ...options, recordMode: true, bodyFormat: 'readable' })
+  await t.context.proxy.setSequence(sequenceName)
+  const posted = await axios.post(`${t.context.proxy.url}/post`, { hello: 'review' }, { responseType: 'arraybuffer' })
+  const gzipped = await axios.get(`${t.context.proxy.url}/gzip-secret`)
+  const fastGzipped = await axios.get(`${t.context.proxy.url}/gzip-fast`, { decompress: false, responseType: 'arraybuffer' })
+  const streamed = await axios.get(`${t.context.proxy.url}/stream`, { responseType: 'text' })
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const [postInteraction] = JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename('/post')), 'utf8'))
+  t.deepEqual(postInteraction.request.body, { hello: 'review' })
+  t.is(postInteraction.request.bodyFormat, 'json')
+  t.is(postInteraction.response.bodyFormat, 'json')
+  t.is(postInteraction.response.body.message, 'mock post success')
+
+  const [gzipInteraction] = JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename('/gzip-secret')), 'utf8'))
+  t.deepEqual(gzipInteraction.response.body, { apiKey: 'sk-live-123456', ok: true }, 'Compressed bodies should be stored decompressed')
+  t.is(gzipInteraction.response.headers['content-encoding'], 'gzip')
+  const [fastGzipInteraction] = JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename('/gzip-fast')), 'utf8'))
+  t.is(fastGzipInteraction.response.bodyFormat, undefined, 'Bodies that would re-compress differently should stay base64')
+
+  const [streamInteraction] = JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename('/stream')), 'utf8'))
+  t.is(streamInteraction.response.bodyFormat, 'text')
+  t.is(streamInteraction.response.body, 'data: 1\n\ndata: 2\n\ndata: 3\n\n')
+
+  t.context.proxy = await createProxy({ ...options, recordMode: false })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  const replayedPost = await axios.post(`${t.context.proxy.url}/post`, { hello: 'review' }, { responseType: 'arraybuffer' })
+  t.true(Buffer.from(replayedPost.data).equals(Buffer.from(posted.data)), 'Uncompressed bodies should replay byte for byte')
+  const replayedGzip = await axios.get(`${t.context.proxy.url}/gzip-secret`)
+  // axios gunzips per the replayed content-encoding, so this fails unless the body was re-compressed
+  t.deepEqual(replayedGzip.data, gzipped.data, 'Replay should re-compress to the recorded content-encoding')
+  const replayedFastGzip = await axios.get(`${t.context.proxy.url}/gzip-fast`, { decompress: false, responseType: 'arraybuffer' })
+  t.true(Buffer.from(replayedFastGzip.data).equals(Buffer.from(fastGzipped.data)), 'Compressed bodies should replay byte for byte')
+  const replayedStream = await axios.get(`${t.context.proxy.url}/stream`, { responseType: 'text' })
+  t.is(replayedStream.data, streamed.data)
+  t.is(lastMockRequest, null)
+})
+
+test.serial('Encodings: plaintext bodies should handle br, encoding chains and compressed request bodies', async t => {
+  const sequenceName = 'test-encodings'
+  const sequenceDir = path.join(TEST_RECORDINGS_DIR, sequenceName)
+  const options = { targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, includePlainTextBody: true }
+  const gzipHeaders = { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' }
+  const requestJson = JSON.stringify({ compressed: 'request' })
+
+  t.context.proxy = await createProxy({ ...options, recordMode: true })
+  await t.context.proxy.setSequence(sequenceName)
+  // axios 0.21 can't decode br, so fetch the raw bytes
+  const brotli = await axios.get(`${t.context.proxy.url}/brotli`, { responseType: 'arraybuffer' })
+  t.is(zlib.brotliDecompressSync(brotli.data).toString(), '{"encoding":"br"}')
+  const chained = await axios.get(`${t.context.proxy.url}/chained`, { responseType: 'arraybuffer' })
+  t.is(zlib.gunzipSync(zlib.brotliDecompressSync(chained.data)).toString(), '{"encoding":"gzip, br"}')
+  const posted = await axios.post(`${t.context.proxy.url}/post`, zlib.gzipSync(requestJson, { level: 9 }), { headers: gzipHeaders })
+  t.deepEqual(posted.data.received_body, { compressed: 'request' }, 'The upstream should get the compressed body intact')
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const readInteraction = async urlPath => JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename(urlPath)), 'utf8'))[0]
+  t.is((await readInteraction('/brotli')).response.bodyPlainText, '{"encoding":"br"}')
+  t.is((await readInteraction('/chained')).response.bodyPlainText, '{"encoding":"gzip, br"}')
+  const postInteraction = await readInteraction('/post')
+  t.is(postInteraction.request.bodyPlainText, requestJson)
+  t.true(zlib.gunzipSync(Buffer.from(postInteraction.request.body, 'base64')).equals(Buffer.from(requestJson)), 'The recorded request body should stay compressed')
+
+  // Compressed request bodies match on their content, not their compressed bytes
+  t.context.proxy = await createProxy({ ...options, recordMode: 'missing' })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  const replayed = await axios.post(`${t.context.proxy.url}/post`, zlib.gzipSync(requestJson, { level: 1 }), { headers: gzipHeaders })
+  t.is(lastMockRequest, null, 'A differently compressed but equal body should match the recording')
+  t.deepEqual(replayed.data, posted.data)
+})
+
+test.serial('Storage: an in-memory adapter should record and replay without touching the disk', async t => {
+  const sequenceName = 'test-memory-storage'
+  const storage = createMemoryStorage()
+  const options = { targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, storage }
+
+  t.context.proxy = await createProxy({ ...options, recordMode: true })
+  await t.context.proxy.setSequence(sequenceName)
+  const live = await axios.get(`${t.context.proxy.url}/get?storage=memory`)
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  await t.throwsAsync(fs.access(path.join(TEST_RECORDINGS_DIR, sequenceName)), { code: 'ENOENT' }, 'Nothing should be written to recordingsDir')
+  t.deepEqual(await storage.listSequences(), [sequenceName])
+  t.deepEqual((await storage.listFiles(sequenceName)).sort(), [sanitizeFilename('/get'), 'echoproxia.manifest.json'])
+  const [stored] = await storage.read(sequenceName, sanitizeFilename('/get'))
+  t.is(stored.request.originalUrl, '/get?storage=memory')
+
+  // A new proxy on the same adapter replays from it
+  t.context.proxy = await createProxy({ ...options, recordMode: false })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  const replayed = await axios.get(`${t.context.proxy.url}/get?storage=memory`)
+  t.deepEqual(replayed.data, live.data)
+  t.is(lastMockRequest, null)
+  t.deepEqual(await t.context.proxy.listSequences(), [sequenceName])
+
+  await t.throwsAsync(createProxy({ ...options, storage: { read: async () => null } }), { message: /storage adapter is missing listSequences\(\)/ })
+})
+
+test.serial('Write Queue: pending writes to a file should coalesce and flush() should wait for them', async t => {
+  const sequenceName = 'test-write-queue'
+  const memoryStorage = createMemoryStorage()
+  const writes = []
+  const slowly = method => async (...args) => {
+    if (Array.isArray(args[2])) writes.push({ method, length: args[2].length }) // Not the manifest
+    await new Promise(resolve => setTimeout(resolve, 100))
+    return memoryStorage[method](...args)
+  }
+  const slowStorage = { ...memoryStorage, write: slowly('write'), append: slowly('append') }
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: true, storage: slowStorage })
+  await t.context.proxy.setSequence(sequenceName)
+  await Promise.all([1, 2, 3, 4, 5].map(n => axios.get(`${t.context.proxy.url}/get?n=${n}`)))
+  await t.context.proxy.flush()
+
+  const stored = await memoryStorage.read(sequenceName, sanitizeFilename('/get'))
+  t.is(stored.length, 5, 'flush() should resolve once every interaction is stored')
+  t.true(writes.length < 5, `Queued writes of the same file should coalesce (got ${writes.length} writes)`)
+  // Once written, the file only gets the interactions recorded since
+  t.is(writes[0].method, 'write')
+  t.true(writes.slice(1).every(({ method }) => method === 'append'))
+  t.is(writes.reduce((sum, { length }) => sum + length, 0), 5)
+
+  // So do sequential requests; nothing is sent twice
+  writes.length = 0
+  await axios.get(`${t.context.proxy.url}/get?n=6`)
+  await t.context.proxy.flush()
+  await axios.get(`${t.context.proxy.url}/get?n=7`)
+  await t.context.proxy.flush()
+  t.deepEqual(writes, [{ method: 'append', length: 1 }, { method: 'append', length: 1 }])
+  const storedUrls = (await memoryStorage.read(sequenceName, sanitizeFilename('/get'))).map(({ request }) => request.originalUrl)
+  t.deepEqual([...storedUrls].sort(), [1, 2, 3, 4, 5, 6, 7].map(n => `/get?n=${n}`))
+  t.deepEqual(storedUrls.slice(5), ['/get?n=6', '/get?n=7'])
+
+  await t.context.proxy.stop()
+
+  // The file storage writes through a temporary file that is renamed into place
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: true })
+  await t.context.proxy.setSequence(sequenceName)
+  await axios.get(`${t.context.proxy.url}/get`)
+  await t.context.proxy.flush()
+  t.deepEqual((await fs.readdir(path.join(TEST_RECORDINGS_DIR, sequenceName))).sort(), [sanitizeFilename('/get'), 'echoproxia.manifest.json'], 'No temporary files should be left behind')
+  await t.context.proxy.stop()
+
+  // The file storage appends too, leaving the file as a rewrite would have
+  const fileStorage = createFileStorage(TEST_RECORDINGS_DIR)
+  const fileWrites = []
+  const spied = method => async (...args) => {
+    if (Array.isArray(args[2])) fileWrites.push({ method, length: args[2].length })
+    return fileStorage[method](...args)
+  }
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: true, storage: { ...fileStorage, write: spied('write'), append: spied('append') } })
+  await t.context.proxy.setSequence(sequenceName)
+  for (const n of [1, 2, 3]) {
+    await axios.get(`${t.context.proxy.url}/get?file=${n}`)
+    await t.context.proxy.flush()
+  }
+  t.deepEqual(fileWrites, [{ method: 'write', length: 1 }, { method: 'append', length: 1 }, { method: 'append', length: 1 }])
+  const filePath = path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename('/get'))
+  const appendedText = await fs.readFile(filePath, 'utf8')
+  const appended = JSON.parse(appendedText)
+  t.deepEqual(appended.map(({ request }) => request.originalUrl), ['/get?file=1', '/get?file=2', '/get?file=3'])
+  t.is(appendedText, JSON.stringify(appended, null, 2))
+
+  // A file that doesn't end as written (e.g. edited by hand) is rewritten whole
+  await fs.writeFile(filePath, JSON.stringify(appended))
+  await axios.get(`${t.context.proxy.url}/get?file=4`)
+  await t.context.proxy.flush()
+  const rewritten = JSON.parse(await fs.readFile(filePath, 'utf8'))
+  t.deepEqual(rewritten.map(({ request }) => request.originalUrl), ['/get?file=1', '/get?file=2', '/get?file=3', '/get?file=4'])
+})
+
+test.serial('Manifest: recordings should get a manifest and legacy sequences should migrate in place', async t => {
+  const sequenceName = 'test-manifest'
+  const sequenceDir = path.join(TEST_RECORDINGS_DIR, sequenceName)
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: true })
+  await t.context.proxy.setSequence(sequenceName)
+  await axios.get(`${t.context.proxy.url}/get?n=1`)
+  await axios.get(`${t.context.proxy.url}/get?n=2`)
+  await axios.post(`${t.context.proxy.url}/post`, { manifest: true })
+
+  const manifest = await t.context.proxy.getManifest()
+  t.is(manifest.schemaVersion, 3)
+  t.is(manifest.sequence, sequenceName)
+  t.is(manifest.targetUrl, MOCK_TARGET_URL)
+  t.is(manifest.echoproxiaVersion, require('../package.json').version)
+  t.is(manifest.interactions, 3)
+  t.deepEqual(manifest.files, { [sanitizeFilename('/get')]: 2, [sanitizeFilename('/post')]: 1 })
+  t.deepEqual(manifest.paths, { [sanitizeFilename('/get')]: '/get', [sanitizeFilename('/post')]: '/post' })
+  t.true(Date.parse(manifest.updatedAt) >= Date.parse(manifest.createdAt))
+  await t.context.proxy.stop()
+  t.context.proxy = null
+  t.deepEqual(JSON.parse(await fs.readFile(path.join(sequenceDir, 'echoproxia.manifest.json'), 'utf8')), manifest)
+
+  // A schema 1 sequence: `.json` file with a `chunks` body, no manifest
+  const legacySequence = 'test-manifest-legacy'
+  const legacyDir = path.join(TEST_RECORDINGS_DIR, legacySequence)
+  await fs.mkdir(legacyDir, { recursive: true })
+  await fs.writeFile(path.join(legacyDir, '_legacy.json'), JSON.stringify([{
+    request: { method: 'GET', path: '/legacy', headers: {}, body: null },
+    response: { status: 200, headers: { 'content-type': 'application/json' }, chunks: ['eyJsZWdh', 'Y3kiOnRydWV9'] }
+  }]))
+  const [report] = await migrateRecordings({ recordingsDir: TEST_RECORDINGS_DIR, sequences: [legacySequence], targetUrl: MOCK_TARGET_URL })
+  t.deepEqual(report.renamedFiles, [{ from: '_legacy.json', to: '_legacy.echo.json' }])
+  t.is(report.upgradedInteractions, 1)
+  t.is(report.manifest.interactions, 1)
+  t.deepEqual((await fs.readdir(legacyDir)).sort(), ['_legacy.echo.json', 'echoproxia.manifest.json'])
+  const [migrated] = JSON.parse(await fs.readFile(path.join(legacyDir, '_legacy.echo.json'), 'utf8'))
+  t.is(migrated.response.chunks, undefined)
+  t.is(Buffer.from(migrated.response.body, 'base64').toString(), '{"legacy":true}')
+
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: false })
+  await t.context.proxy.setSequence(legacySequence)
+  const replayed = await axios.get(`${t.context.proxy.url}/legacy`)
+  t.deepEqual(replayed.data, { legacy: true })
+  t.deepEqual(await t.context.proxy.getUnusedInteractions(legacySequence), {}, 'The manifest should not count as a recording file')
+})
+
+test.serial('Filenames: paths that sanitize alike should get their own files, and shared legacy files should split on migration', async t => {
+  const sequenceName = 'test-filenames'
+  const sequenceDir = path.join(TEST_RECORDINGS_DIR, sequenceName)
+  const requestPaths = ['/v1/a-b/c', '/v1/a_b/c', '/v1/a/b_c', '/v1/A/b']
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: true })
+  await t.context.proxy.setSequence(sequenceName)
+  for (const requestPath of requestPaths) await axios.get(`${t.context.proxy.url}${requestPath}`)
+  await t.context.proxy.flush()
+
+  const files = requestPaths.map(sanitizeFilename)
+  t.is(new Set(files).size, requestPaths.length)
+  t.is(files[0], '_v1_a-b_c.echo.json', 'Plain paths should keep readable names')
+  t.regex(files[1], /^_v1_a_b_c~[0-9a-f]{12}\.echo\.json$/)
+  for (const [index, file] of files.entries()) {
+    const interactions = JSON.parse(await fs.readFile(path.join(sequenceDir, file), 'utf8'))
+    t.deepEqual(interactions.map(interaction => interaction.request.path), [requestPaths[index]])
+  }
+  t.deepEqual((await t.context.proxy.getManifest()).paths, Object.fromEntries(files.map((file, index) => [file, requestPaths[index]])))
+
+  await t.context.proxy.stop()
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: false })
+  await t.context.proxy.setSequence(sequenceName)
+  for (const requestPath of requestPaths) t.deepEqual((await axios.get(`${t.context.proxy.url}${requestPath}`)).data, { path: requestPath })
+  t.deepEqual(await t.context.proxy.getUnusedInteractions(sequenceName), {})
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  // Before hashed names, `/v1/a/b/c` and `/v1/a_b/c` shared `_v1_a_b_c.echo.json`
+  const legacySequence = 'test-filenames-legacy'
+  const legacyDir = path.join(TEST_RECORDINGS_DIR, legacySequence)
+  const interactionFor = (requestPath, body) => ({
+    request: { method: 'GET', path: requestPath, headers: {}, body: null },
+    response: { status: 200, headers: { 'content-type': 'text/plain' }, body: Buffer.from(body).toString('base64') }
+  })
+  await fs.mkdir(legacyDir, { recursive: true })
+  await fs.writeFile(path.join(legacyDir, '_v1_a_b_c.echo.json'), JSON.stringify([interactionFor('/v1/a/b/c', 'slashes'), interactionFor('/v1/a_b/c', 'underscore')]))
+  const [report] = await migrateRecordings({ recordingsDir: TEST_RECORDINGS_DIR, sequences: [legacySequence] })
+  t.deepEqual(report.renamedFiles, [{ from: '_v1_a_b_c.echo.json', to: sanitizeFilename('/v1/a_b/c') }])
+  t.deepEqual(report.manifest.files, { '_v1_a_b_c.echo.json': 1, [sanitizeFilename('/v1/a_b/c')]: 1 })
+
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: false })
+  await t.context.proxy.setSequence(legacySequence)
+  t.is((await axios.get(`${t.context.proxy.url}/v1/a_b/c`)).data, 'underscore')
+  // The old name of `/v1/a/b_c` is the file of `/v1/a/b/c`, which must not answer it
+  const otherPath = await axios.get(`${t.context.proxy.url}/v1/a/b_c`, { validateStatus: () => true })
+  t.is(otherPath.status, 500)
+  t.is(otherPath.data.reason, 'no-recording')
+  t.is((await axios.get(`${t.context.proxy.url}/v1/a/b/c`)).data, 'slashes')
+
+  // Files recorded under the old name still replay without migrating
+  await fs.writeFile(path.join(legacyDir, '_v1_A_b.echo.json'), JSON.stringify([interactionFor('/v1/A/b', 'unmigrated')]))
+  t.is((await axios.get(`${t.context.proxy.url}/v1/A/b`)).data, 'unmigrated')
+
+  await t.context.proxy.stop()
+
+  // Record-missing mode keeps an old file's interactions in memory under the current
+  // name; they are reported there only, as served
+  const missingSequence = 'test-filenames-missing'
+  const missingDir = path.join(TEST_RECORDINGS_DIR, missingSequence)
+  await fs.mkdir(missingDir, { recursive: true })
+  await fs.writeFile(path.join(missingDir, '_v1_Users.echo.json'), JSON.stringify([interactionFor('/v1/Users', 'legacy users')]))
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: 'missing' })
+  await t.context.proxy.setSequence(missingSequence)
+  t.is((await axios.get(`${t.context.proxy.url}/v1/Users`)).data, 'legacy users')
+  t.deepEqual(await t.context.proxy.getUnusedInteractions(missingSequence), {})
+  await t.notThrowsAsync(t.context.proxy.assertSequenceComplete(missingSequence))
+  t.deepEqual((await axios.get(`${t.context.proxy.url}/v1/Users?page=2`)).data, { path: '/v1/Users' })
+  await t.context.proxy.flush()
+  const exported = (await t.context.proxy.exportHar(missingSequence)).log.entries
+  t.deepEqual(exported.map(entry => entry._echoproxia.file), [sanitizeFilename('/v1/Users'), sanitizeFilename('/v1/Users')])
+  t.deepEqual(await t.context.proxy.getUnusedInteractions(missingSequence), {})
+})
+
+test.serial('Body Files: bodies over bodyFileThreshold should be stored once in content-addressed files and replay', async t => {
+  const sequenceName = 'test-body-files'
+  const sequenceDir = path.join(TEST_RECORDINGS_DIR, sequenceName)
+  const options = { targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, bodyFileThreshold: 1024 }
+  const upload = Buffer.alloc(4096, 'binary upload ')
+  const uploadHash = crypto.createHash('sha256').update(upload).digest('hex')
+  const post = () => axios.post(`${t.context.proxy.url}/post`, upload, { headers: { 'content-type': 'application/octet-stream' } })
+
+  t.context.proxy = await createProxy({ ...options, recordMode: true })
+  await t.context.proxy.setSequence(sequenceName)
+  const live = await post()
+  await post()
+  await axios.get(`${t.context.proxy.url}/get`)
+  await t.context.proxy.stop()
+  t.context.proxy = null
+
+  const posts = JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename('/post')), 'utf8'))
+  t.is(posts.length, 2)
+  for (const { request, response } of posts) {
+    t.deepEqual([request.bodyFormat, request.body], ['file', uploadHash])
+    t.is(response.bodyFormat, 'file')
+  }
+  const bodyFiles = await fs.readdir(path.join(sequenceDir, '.bodies'))
+  t.deepEqual(bodyFiles.sort(), [uploadHash, posts[0].response.body].sort(), 'Identical payloads should share one body file')
+  t.true((await fs.readFile(path.join(sequenceDir, '.bodies', uploadHash))).equals(upload))
+  const [get] = JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename('/get')), 'utf8'))
+  t.is(get.response.bodyFormat, undefined, 'Small bodies should stay inline')
+
+  t.context.proxy = await createProxy({ ...options, recordMode: false })
+  await t.context.proxy.setSequence(sequenceName)
+  lastMockRequest = null
+  t.deepEqual((await post()).data, live.data)
+  t.deepEqual((await post()).data, live.data)
+  await axios.get(`${t.context.proxy.url}/get`)
+  t.is(lastMockRequest, null)
+  t.deepEqual(await t.context.proxy.getUnusedInteractions(sequenceName), {}, 'The body files directory should not count as recordings')
+
+  await t.throwsAsync(createProxy({ ...options, bodyFileThreshold: 'large' }), { message: /bodyFileThreshold must be/ })
+})
+
+test.serial('Control API: HTTP endpoints should set sequences and modes, change the target, reset replay and report status', async t => {
+  const sequenceName = 'test-control'
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: true })
+  const control = axios.create({ baseURL: `${t.context.proxy.url}/echoproxia`, validateStatus: () => true })
+
+  let response = await control.post(`/sequence/${sequenceName}`, {})
+  t.is(response.status, 200)
+  t.like(response.data, { sequence: sequenceName, recordMode: true, effectiveMode: true, mode: 'record', targetUrl: MOCK_TARGET_URL })
+  const live = await axios.get(`${t.context.proxy.url}/get?via=control`)
+
+  // The active sequence follows the global mode, without being cleared
+  response = await control.post('/mode', { recordMode: false })
+  t.like(response.data, { sequence: sequenceName, recordMode: false, effectiveMode: false, mode: 'replay' })
+  lastMockRequest = null
+  t.deepEqual((await axios.get(`${t.context.proxy.url}/get?via=control`)).data, live.data)
+  t.is(lastMockRequest, null)
+  response = await control.get('/consumption')
+  t.like(response.data[sanitizeFilename('/get')], { interactions: 1, served: [0], unused: [] })
+
+  response = await control.post('/reset', {})
+  t.is(response.status, 200)
+  t.deepEqual((await control.get('/consumption', { params: { sequence: sequenceName } })).data[sanitizeFilename('/get')].served, [])
+  t.deepEqual((await axios.get(`${t.context.proxy.url}/get?via=control`)).data, live.data, 'Reset interactions should replay again')
+
+  // A per-sequence recordMode keeps the sequence's mode whatever the global mode
+  response = await control.post(`/sequence/${sequenceName}-override`, { recordMode: 'missing' })
+  t.like(response.data, { recordMode: false, effectiveMode: 'missing', mode: 'record-missing' })
+  t.like((await control.post('/mode', { recordMode: true })).data, { recordMode: true, effectiveMode: 'missing' })
+
+  // Later recordings come from the new target
+  const unusedPort = await getPort()
+  response = await control.post('/target', { targetUrl: `http://localhost:${unusedPort}` })
+  t.is(response.data.targetUrl, `http://localhost:${unusedPort}`)
+  t.is((await axios.get(`${t.context.proxy.url}/get?via=new-target`, { validateStatus: () => true })).status, 502)
+  await control.post('/target', { targetUrl: MOCK_TARGET_URL })
+  t.is((await axios.get(`${t.context.proxy.url}/get?via=old-target`)).status, 200)
+
+  response = await control.post('/flush')
+  t.is(response.data.pendingWrites, 0)
+  t.like((await control.get('/status')).data, { sequence: `${sequenceName}-override`, targetUrl: MOCK_TARGET_URL })
+
+  t.regex((await control.post('/mode', { recordMode: 'sometimes' })).data.error, /recordMode must be/)
+  t.is((await control.post(`/sequence/${sequenceName}`, { recordMode: 'sometimes' })).status, 400)
+  t.regex((await control.post('/target', { targetUrl: 'not a url' })).data.error, /targetUrl must be an absolute URL/)
+
+  // Sequence names can't reach outside recordingsDir
+  const victimDir = await fs.mkdtemp(path.join(require('os').tmpdir(), 'echoproxia-victim-'))
+  await fs.writeFile(path.join(victimDir, 'keep.txt'), 'keep')
+  const traversal = path.relative(TEST_RECORDINGS_DIR, victimDir)
+  response = await control.post(`/sequence/${encodeURIComponent(traversal)}`, { recordMode: true })
+  t.is(response.status, 400)
+  t.regex(response.data.error, /invalid sequence name/)
+  t.is((await control.get('/consumption', { params: { sequence: '../../..' } })).status, 400)
+  t.is((await control.post('/reset', { sequence: '..' })).status, 400)
+  await t.throwsAsync(t.context.proxy.setSequence(traversal), { message: /invalid sequence name/ })
+  t.is(await fs.readFile(path.join(victimDir, 'keep.txt'), 'utf8'), 'keep')
+  t.is((await control.get('/status')).data.sequence, `${sequenceName}-override`)
+  await fs.rm(victimDir, { recursive: true, force: true })
+
+  // Dots and nesting that stay inside are fine
+  for (const name of ['loading...', 'a..b', 'suite/test-1']) {
+    response = await control.post(`/sequence/${encodeURIComponent(name)}`, { recordMode: false })
+    t.is(response.status, 200, name)
+    t.is(response.data.sequence, name)
+  }
+  await t.context.proxy.setSequence('suite/test-1', { recordMode: true })
+  await axios.get(`${t.context.proxy.url}/get?nested=1`)
+  await t.context.proxy.flush()
+  await fs.access(path.join(TEST_RECORDINGS_DIR, 'suite', 'test-1', sanitizeFilename('/get')))
+  await t.throwsAsync(t.context.proxy.setSequence('suite/../..'), { message: /invalid sequence name/ })
+})
+
+test.serial('Control Port: the control API should move to controlPort or controlPrefix and require controlToken', async t => {
+  const sequenceName = 'test-control-port'
+  const token = 'control-secret'
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: true, controlPort: true, controlToken: token })
+  const { url, controlUrl } = t.context.proxy
+  t.not(new URL(controlUrl).port, String(t.context.proxy.port))
+
+  t.is((await axios.get(`${controlUrl}/status`, { validateStatus: () => true })).status, 401)
+  t.is((await axios.get(`${controlUrl}/status`, { headers: { authorization: 'Bearer wrong' }, validateStatus: () => true })).status, 401)
+  const authorized = { headers: { authorization: `Bearer ${token}` } }
+  t.is((await axios.post(`${controlUrl}/sequence/${sequenceName}`, {}, authorized)).data.sequence, sequenceName)
+
+  // The proxy port records every path, /echoproxia/ included
+  const proxied = await axios.get(`${url}/echoproxia/status`)
+  t.deepEqual(proxied.data, { path: '/echoproxia/status' })
+  await t.context.proxy.flush()
+  const [interaction] = JSON.parse(await fs.readFile(path.join(TEST_RECORDINGS_DIR, sequenceName, sanitizeFilename('/echoproxia/status')), 'utf8'))
+  t.is(interaction.request.path, '/echoproxia/status')
+  await t.context.proxy.stop()
+
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: true, controlPrefix: '/__control/' })
+  t.is(t.context.proxy.controlUrl, `${t.context.proxy.url}/__control`)
+  t.is((await axios.post(`${t.context.proxy.controlUrl}/sequence/${sequenceName}-prefix`)).data.sequence, `${sequenceName}-prefix`)
+  t.deepEqual((await axios.get(`${t.context.proxy.url}/echoproxia/status`)).data, { path: '/echoproxia/status' })
+
+  await t.throwsAsync(createProxy({ controlPrefix: 'control' }), { message: /controlPrefix must be a path/ })
+  await t.throwsAsync(createProxy({ controlPort: 'yes' }), { message: /controlPort must be/ })
+})
+
+test.serial('Runtime Settings: setMode and setTargetUrl should switch the proxy without restarting it', async t => {
+  const sequenceName = 'test-set-mode'
+  const sequenceDir = path.join(TEST_RECORDINGS_DIR, sequenceName)
+  const readUrls = async requestPath => JSON.parse(await fs.readFile(path.join(sequenceDir, sanitizeFilename(requestPath)), 'utf8'))
+    .map(interaction => interaction.request.originalUrl)
+  t.context.proxy = await createProxy({ targetUrl: MOCK_TARGET_URL, recordingsDir: TEST_RECORDINGS_DIR, recordMode: true })
+  const { proxy } = t.context
+  await proxy.setSequence(sequenceName)
+  const live = await axios.get(`${proxy.url}/get?n=1`)
+  await axios.post(`${proxy.url}/post`, { n: 1 })
+
+  // The active sequence follows the global mode
+  await proxy.setMode(false)
+  lastMockRequest = null
+  t.deepEqual((await axios.get(`${proxy.url}/get?n=1`)).data, live.data)
+  t.is(lastMockRequest, null)
+
+  // Switched back to record mode, it keeps its recordings and appends to them
+  await proxy.setMode(true)
+  await axios.get(`${proxy.url}/get?n=2`)
+  await axios.post(`${proxy.url}/post`, { n: 2 })
+  await proxy.flush()
+  t.deepEqual(await readUrls('/get'), ['/get?n=1', '/get?n=2'])
+  t.deepEqual(await readUrls('/post'), ['/post', '/post'], 'Files not replayed since the switch should be appended to too')
+
+  // setSequence still starts a record-mode sequence from scratch
+  await proxy.setSequence(sequenceName)
+  await axios.get(`${proxy.url}/get?n=3`)
+  await proxy.flush()
+  t.deepEqual(await readUrls('/get'), ['/get?n=3'])
+  await t.throwsAsync(fs.access(path.join(sequenceDir, sanitizeFilename('/post'))), { code: 'ENOENT' })
+
+  // A sequence set with its own recordMode keeps it
+  await proxy.setSequence(sequenceName, { recordMode: false })
+  await proxy.setMode(true)
+  lastMockRequest = null
+  await axios.get(`${proxy.url}/get?n=3`)
+  t.is(lastMockRequest, null)
+
+  await proxy.setSequence(`${sequenceName}-target`)
+  const unusedPort = await getPort()
+  proxy.setTargetUrl(`http://localhost:${unusedPort}`)
+  t.is((await axios.get(`${proxy.url}/get`, { validateStatus: () => true })).status, 502)
+  proxy.setTargetUrl(MOCK_TARGET_URL)
+  t.is((await axios.get(`${proxy.url}/get`)).status, 200)
+
+  await t.throwsAsync(proxy.setMode('record'), { message: /recordMode must be/ })
+  t.throws(() => proxy.setTargetUrl('localhost'), { message: /targetUrl must be an absolute URL/ })
+})